@@ -4,39 +4,619 @@
 // Configuration
 const BYBIT_API_BASE = "https://api.bybit.com/v5/market";
 const TELEGRAM_API_BASE = "https://api.telegram.org/bot";
-
-// Chart instance
+const DEFAULT_SYMBOL = "BTCUSDT";
+const DEFAULT_INTERVAL = "60";
+
+// Bybit kline interval codes with their display label and candle length
+const BYBIT_INTERVALS = {
+  1: { label: "1m", ms: 60 * 1000 },
+  3: { label: "3m", ms: 3 * 60 * 1000 },
+  5: { label: "5m", ms: 5 * 60 * 1000 },
+  15: { label: "15m", ms: 15 * 60 * 1000 },
+  30: { label: "30m", ms: 30 * 60 * 1000 },
+  60: { label: "1h", ms: 3600 * 1000 },
+  120: { label: "2h", ms: 2 * 3600 * 1000 },
+  240: { label: "4h", ms: 4 * 3600 * 1000 },
+  360: { label: "6h", ms: 6 * 3600 * 1000 },
+  720: { label: "12h", ms: 12 * 3600 * 1000 },
+  D: { label: "1D", ms: 24 * 3600 * 1000 },
+};
+
+// Default trading costs (Bybit linear perpetual, non-VIP tier)
+// Fee rates and slippage are expressed as fractions of traded notional
+const DEFAULT_TRADING_COSTS = {
+  enabled: false,
+  makerFee: 0.0002, // 0.02%
+  takerFee: 0.00055, // 0.055%
+  orderType: "taker", // "maker" | "taker"
+  slippageModel: "none", // "none" | "fixed" | "volatility"
+  slippageBps: 1, // used by the "fixed" model
+  slippageVolFactor: 0.05, // fraction of rolling σ, used by the "volatility" model
+};
+
+// Default per-position exit rules; a distance of 0 disables the rule
+// Distances are in percent of the entry price, ATRs or rolling σ (see unit)
+const DEFAULT_RISK_RULES = {
+  unit: "percent", // "percent", "atr" or "sigma"
+  stopLoss: 0,
+  takeProfit: 0,
+  trailingStop: 0,
+  atrPeriod: 14,
+};
+
+// Default Z-Score definition: simple rolling mean / population σ of the close
+const DEFAULT_ZSCORE = {
+  method: "rolling", // "rolling", "ewma" or "robust" (median / MAD)
+  source: "close", // "close", "log" (log price) or "returns" (log returns)
+  stdType: "population", // "population" or "sample" (n - 1); robust ignores it
+};
+
+// Default position sizing: 100% of equity per position, the same exposure as
+// the original ±1 unit backtest. Sizes are multiples of equity (1 = 1x notional).
+const DEFAULT_SIZING = {
+  method: "fixed", // "fixed", "vol_target" or "zscore"
+  fraction: 1, // Fixed fractional size; base size for Z-Score scaling
+  volTarget: 0.02, // Equity change per 1σ price move for volatility targeting
+  maxLeverage: 3,
+  initialCapital: 10000, // USDT
+};
+
+// Retry policy for Bybit requests (exponential backoff, capped)
+const FETCH_MAX_RETRIES = 5;
+const FETCH_BASE_DELAY_MS = 500;
+const FETCH_MAX_DELAY_MS = 30000;
+const BYBIT_RATE_LIMIT_RET_CODE = 10006; // "Too many visits"
+
+// Default backtest start and the most recent Bitcoin halving (UTC dates)
+const DEFAULT_START_DATE = "2022-01-01";
+const LAST_HALVING_DATE = "2024-04-20";
+
+// Closed candles replayed through the strategy before the first live signal,
+// so the monitor starts from the position the backtest would hold
+const MONITOR_WARMUP_BARS = 500;
+
+// Upper bound on parameter combinations per optimizer run
+const MAX_OPTIMIZER_COMBINATIONS = 2000;
+
+// Comparison operators of evaluation criteria, with the symbol shown when a
+// criterion passes and when it fails
+const EVALUATION_OPERATORS = {
+  ">": { symbol: ">", negated: "≤", test: (value, target) => value > target },
+  ">=": { symbol: "≥", negated: "<", test: (value, target) => value >= target },
+  "<": { symbol: "<", negated: "≥", test: (value, target) => value < target },
+  "<=": { symbol: "≤", negated: ">", test: (value, target) => value <= target },
+};
+
+// Decimals of metric values in evaluation reasons (2 when not listed)
+const EVALUATION_DECIMALS = {
+  "Max Drawdown": 4,
+  "Annualized Return": 4,
+  "Total Return": 4,
+  "Gross Total Return": 4,
+  "Compounded Return": 4,
+  "Max Equity Drawdown": 4,
+  "Expectancy per Trade": 4,
+  "Average Win": 4,
+  "Average Loss": 4,
+  "Buy & Hold Return": 4,
+  Alpha: 4,
+  "Deflated Sharpe %": 1,
+  "Probabilistic Sharpe %": 1,
+  "Min Track Record (days)": 1,
+  "Number of Trades": 0,
+  "Closed Trades": 0,
+  "Period (days)": 0,
+  Trials: 0,
+};
+
+// Default evaluation criteria; all must pass for a recommendation
+const DEFAULT_EVALUATION_CRITERIA = [
+  { metric: "Sharpe Ratio", operator: ">", threshold: 1.0, weight: 1 },
+  { metric: "Calmar Ratio", operator: ">", threshold: 1.0, weight: 1 },
+  { metric: "Max Drawdown", operator: ">=", threshold: -0.5, weight: 1 },
+  { metric: "Number of Trades", operator: ">", threshold: 80, weight: 1 },
+];
+
+// Built-in evaluation profiles; saved profiles are kept in localStorage
+const EVALUATION_PROFILES = {
+  Default: DEFAULT_EVALUATION_CRITERIA,
+  Conservative: [
+    { metric: "Sharpe Ratio", operator: ">", threshold: 1.5, weight: 2 },
+    { metric: "Sortino Ratio", operator: ">", threshold: 2.0, weight: 1 },
+    { metric: "Calmar Ratio", operator: ">", threshold: 1.5, weight: 1 },
+    { metric: "Max Drawdown", operator: ">=", threshold: -0.25, weight: 2 },
+    { metric: "Number of Trades", operator: ">", threshold: 80, weight: 1 },
+    { metric: "Deflated Sharpe %", operator: ">=", threshold: 95, weight: 2 },
+    {
+      metric: "Period (days)",
+      operator: ">=",
+      threshold: "Min Track Record (days)",
+      weight: 1,
+    },
+  ],
+  "High-Frequency": [
+    { metric: "Sharpe Ratio", operator: ">", threshold: 2.0, weight: 2 },
+    { metric: "Number of Trades", operator: ">", threshold: 500, weight: 2 },
+    { metric: "Profit Factor", operator: ">", threshold: 1.2, weight: 1 },
+    { metric: "Total Return", operator: ">", threshold: 0, weight: 1 },
+    { metric: "Max Drawdown", operator: ">=", threshold: -0.3, weight: 1 },
+    {
+      metric: "Probabilistic Sharpe %",
+      operator: ">=",
+      threshold: 95,
+      weight: 1,
+    },
+  ],
+};
+const EVALUATION_PROFILES_KEY = "zscore-evaluation-profiles";
+
+// Backtest runs kept in localStorage; starred runs are never dropped
+const RUN_HISTORY_KEY = "zscore-run-history";
+const RUN_HISTORY_LIMIT = 200;
+// JSON has no NaN or Infinity, so they are stored as { $num: "NaN" }
+const NON_FINITE_MARKER = "$num";
+// Equity and drawdown points stored per run for the comparison view
+const RUN_CURVE_POINTS = 200;
+
+// Runs compared at once, one line color each
+const COMPARISON_COLORS = [
+  "#58a6ff",
+  "#2ea043",
+  "#f0883e",
+  "#bc8cff",
+  "#f85149",
+  "#d29922",
+  "#39c5cf",
+  "#db61a2",
+];
+
+// Metrics in the comparison table: [metric, decimals, better value]
+// where better is "high", "low" or null (not highlighted)
+const COMPARISON_METRICS = [
+  ["Sharpe Ratio", 2, "high"],
+  ["Sortino Ratio", 2, "high"],
+  ["Calmar Ratio", 2, "high"],
+  ["Deflated Sharpe %", 1, "high"],
+  ["Total Return", 4, "high"],
+  ["Annualized Return", 4, "high"],
+  ["Max Drawdown", 4, "high"],
+  ["Max Drawdown Duration (days)", 1, "low"],
+  ["Win Rate %", 2, "high"],
+  ["Profit Factor", 2, "high"],
+  ["Exposure %", 2, null],
+  ["Number of Trades", 0, null],
+];
+
+// Chart instances
 let equityChart = null;
+let walkForwardChart = null;
+let robustnessChart = null;
+let comparisonEquityChart = null;
+let comparisonDrawdownChart = null;
+let priceChart = null;
+let zscoreChart = null;
+let drawdownChart = null;
+
+// Last fetched dataset, shared by backtests and the optimizer
+let lastDataset = null;
+
+// Imported data file (parsed rows) and the candle series built from it
+let importedFile = null;
+let importedDataset = null;
+
+// Candle fields that can be mapped to columns of an imported file
+const IMPORT_FIELDS = ["time", "close", "open", "high", "low", "volume"];
+
+// The same script runs as the backtest Web Worker, where there is no DOM
+const IS_WORKER = typeof document === "undefined";
+// URL the worker loads this script from
+const SCRIPT_URL = IS_WORKER ? null : document.currentScript?.src;
+
+/**
+ * Look up a page element (null inside the backtest worker)
+ * @param {string} id - Element id
+ */
+function getPageElement(id) {
+  return IS_WORKER ? null : document.getElementById(id);
+}
 
 // DOM Elements
-const backtestForm = document.getElementById("backtestForm");
-const resultsSection = document.getElementById("resultsSection");
-const metricsDisplay = document.getElementById("metricsDisplay");
-const loadingIndicator = document.getElementById("loadingIndicator");
-const errorMessage = document.getElementById("errorMessage");
-const runBacktestBtn = document.getElementById("runBacktestBtn");
-const telegramForm = document.getElementById("telegramForm");
-const telegramSection = document.getElementById("telegramSection");
-const testTelegramBtn = document.getElementById("testTelegramBtn");
-const startMonitorBtn = document.getElementById("startMonitorBtn");
-const stopMonitorBtn = document.getElementById("stopMonitorBtn");
-const liveMonitorSection = document.getElementById("liveMonitorSection");
+const backtestForm = getPageElement("backtestForm");
+const resultsSection = getPageElement("resultsSection");
+const metricsDisplay = getPageElement("metricsDisplay");
+const loadingIndicator = getPageElement("loadingIndicator");
+const errorMessage = getPageElement("errorMessage");
+const runBacktestBtn = getPageElement("runBacktestBtn");
+const telegramForm = getPageElement("telegramForm");
+const telegramSection = getPageElement("telegramSection");
+const testTelegramBtn = getPageElement("testTelegramBtn");
+const startMonitorBtn = getPageElement("startMonitorBtn");
+const stopMonitorBtn = getPageElement("stopMonitorBtn");
+const liveMonitorSection = getPageElement("liveMonitorSection");
+const optimizerForm = getPageElement("optimizerForm");
+const runOptimizerBtn = getPageElement("runOptimizerBtn");
+const walkForwardForm = getPageElement("walkForwardForm");
+const runWalkForwardBtn = getPageElement("runWalkForwardBtn");
 
 // Live monitoring state
 let monitorInterval = null;
 let isMonitoring = false;
-let lastHourlyTimestamp = null; // Track last hourly K-line timestamp to detect new hour
-let currentPosition = "none"; // Track current position state for hourly updates
+let lastCandleTimestamp = null; // Track last closed K-line timestamp to detect a new candle
+let currentPosition = "none"; // Track current position state for per-candle updates
+let lastMonitorBarTime = null; // Open time of the last candle fed to the strategy
+let monitorSignalPosition = 0; // Strategy position before exit rules
+let monitorRiskState = null; // Exit-rule state, see BacktestEngine.createRiskState
+let monitorSymbol = DEFAULT_SYMBOL; // Symbol locked in when monitoring starts
+let monitorTimeframe = DEFAULT_INTERVAL; // Interval locked in when monitoring starts
+
+/**
+ * Get the candle length of a Bybit interval code
+ * @param {string} interval - Bybit interval code, e.g. "60" or "D"
+ * @returns {number} Candle length in milliseconds (1 hour for unknown codes)
+ */
+function getIntervalMs(interval) {
+  return BYBIT_INTERVALS[interval]?.ms || 3600 * 1000;
+}
+
+function getIntervalLabel(interval) {
+  return BYBIT_INTERVALS[interval]?.label || interval;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function formatUtcTime(time) {
+  return new Date(time).toISOString().replace("T", " ").substring(0, 16);
+}
+
+// Candle Cache
+
+// Candles per stored chunk, so a sync only rewrites the chunks it touched
+const CANDLE_CACHE_CHUNK_SIZE = 1000;
+
+class CandleCache {
+  constructor(dbName = "zscore-candle-cache") {
+    this.dbName = dbName;
+    this.storeName = "series";
+    this.chunkStoreName = "chunks";
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 2);
+        request.onupgradeneeded = () => {
+          // Version 1 stored close prices only, so its candles are dropped
+          const db = request.result;
+          [this.storeName, this.chunkStoreName].forEach((name) => {
+            if (db.objectStoreNames.contains(name)) {
+              db.deleteObjectStore(name);
+            }
+          });
+          db.createObjectStore(this.storeName, { keyPath: "key" });
+          db.createObjectStore(this.chunkStoreName, {
+            keyPath: ["key", "start"],
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests against both object stores inside one transaction
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} work - Receives (seriesStore, chunkStore), returns a
+   *   function that gives the result once the transaction completes
+   * @returns {Promise<*>} The result of the function returned by work
+   */
+  async runTransaction(mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(
+        [this.storeName, this.chunkStoreName],
+        mode
+      );
+      const getResult = work(
+        transaction.objectStore(this.storeName),
+        transaction.objectStore(this.chunkStoreName)
+      );
+      transaction.oncomplete = () => resolve(getResult());
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  getKey(symbol, interval) {
+    return `${symbol}_${interval}`;
+  }
+
+  getChunkRange(key) {
+    return IDBKeyRange.bound([key, -Infinity], [key, Infinity]);
+  }
+
+  /**
+   * Get the cached series for a symbol/interval
+   * @returns {Promise<Object|null>} { key, symbol, interval, candles, coveredStart, coveredEnd, lastSync }
+   */
+  async get(symbol, interval) {
+    const key = this.getKey(symbol, interval);
+    return this.runTransaction("readonly", (series, chunks) => {
+      const recordRequest = series.get(key);
+      const chunksRequest = chunks.getAll(this.getChunkRange(key));
+      return () => {
+        if (!recordRequest.result) {
+          return null;
+        }
+        // Chunks come back ordered by their start time
+        const candles = chunksRequest.result.flatMap((chunk) => chunk.candles);
+        return { ...recordRequest.result, candles };
+      };
+    });
+  }
+
+  /**
+   * Merge fresh candles into the cached series for a symbol/interval
+   * Only the chunks the candles fall into are read and rewritten; fresh
+   * candles replace cached ones with the same timestamp.
+   * @param {Array} candles - Fresh candles
+   * @param {number} coveredStart - Earliest time the cache has been synced from
+   * @param {number} coveredEnd - Latest time the cache has been synced to
+   */
+  async put(symbol, interval, candles, coveredStart, coveredEnd) {
+    const key = this.getKey(symbol, interval);
+    const chunkMs = getIntervalMs(interval) * CANDLE_CACHE_CHUNK_SIZE;
+    const freshByChunk = new Map();
+    candles.forEach((candle) => {
+      const start = Math.floor(candle.time / chunkMs) * chunkMs;
+      if (!freshByChunk.has(start)) {
+        freshByChunk.set(start, []);
+      }
+      freshByChunk.get(start).push(candle);
+    });
+
+    return this.runTransaction("readwrite", (series, chunks) => {
+      let record = null;
+      series.get(key).onsuccess = (event) => {
+        record = {
+          key,
+          symbol,
+          interval,
+          count: 0,
+          firstTime: null,
+          lastTime: null,
+          ...event.target.result,
+          coveredStart,
+          coveredEnd,
+          lastSync: Date.now(),
+        };
+        let pending = freshByChunk.size;
+        if (pending === 0) {
+          series.put(record);
+        }
+
+        freshByChunk.forEach((fresh, start) => {
+          chunks.get([key, start]).onsuccess = (chunkEvent) => {
+            const stored = chunkEvent.target.result?.candles || [];
+            const candlesByTime = new Map(
+              stored.map((item) => [item.time, item])
+            );
+            fresh.forEach((item) => candlesByTime.set(item.time, item));
+            const merged = [...candlesByTime.values()].sort(
+              (a, b) => a.time - b.time
+            );
+            chunks.put({ key, start, candles: merged });
+
+            record.count += merged.length - stored.length;
+            record.firstTime = Math.min(
+              record.firstTime ?? Infinity,
+              merged[0].time
+            );
+            record.lastTime = Math.max(
+              record.lastTime ?? -Infinity,
+              merged[merged.length - 1].time
+            );
+            pending -= 1;
+            if (pending === 0) {
+              series.put(record);
+            }
+          };
+        });
+      };
+      return () => record;
+    });
+  }
+
+  /**
+   * Summarize the cached series without reading its candles
+   * @returns {Promise<Object|null>} { firstTime, lastTime, count, lastSync }
+   */
+  async getStatus(symbol, interval) {
+    const record = await this.runTransaction("readonly", (series) => {
+      const request = series.get(this.getKey(symbol, interval));
+      return () => request.result;
+    });
+    if (!record || !record.count) {
+      return null;
+    }
+    return {
+      firstTime: record.firstTime,
+      lastTime: record.lastTime,
+      count: record.count,
+      lastSync: record.lastSync,
+    };
+  }
+
+  async clear() {
+    await this.runTransaction("readwrite", (series, chunks) => {
+      series.clear();
+      chunks.clear();
+      return () => undefined;
+    });
+  }
+}
 
 // Data Fetcher 
 
 class DataFetcher {
+  constructor(cache = null) {
+    this.cache = cache;
+    this.warnings = []; // Data problems found while fetching, see takeWarnings()
+    this.lastFetchComplete = true; // Whether the last candle download reached its start
+  }
+
+  /**
+   * Return and clear the data warnings collected since the last call
+   * @returns {Array<string>} Warning messages
+   */
+  takeWarnings() {
+    const warnings = this.warnings;
+    this.warnings = [];
+    return warnings;
+  }
+
+  /**
+   * GET a Bybit endpoint, retrying network errors, rate limits and 5xx
+   * responses with exponential backoff
+   * Bybit's X-Bapi-Limit-Reset-Timestamp header (when exposed) is used to wait
+   * out a rate limit instead of guessing.
+   * @param {string} url - Request URL
+   * @param {number} maxRetries - Retries after the first attempt
+   * @returns {Promise<Object>} Parsed response body (any non rate-limit retCode)
+   */
+  async fetchJsonWithRetry(url, maxRetries = FETCH_MAX_RETRIES) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let waitMs =
+        FETCH_BASE_DELAY_MS * Math.pow(2, attempt) + Math.random() * 250;
+
+      try {
+        const response = await fetch(url);
+        const headers = response.headers;
+        const resetAt = parseInt(
+          headers?.get("X-Bapi-Limit-Reset-Timestamp") ?? ""
+        );
+        const remaining = parseInt(headers?.get("X-Bapi-Limit-Status") ?? "");
+        const untilReset = isNaN(resetAt) ? 0 : resetAt - Date.now();
+
+        if (response.status === 429 || response.status >= 500) {
+          lastError = new Error(`HTTP ${response.status}`);
+          waitMs = Math.max(waitMs, untilReset);
+        } else {
+          const result = await response.json();
+          if (result.retCode === BYBIT_RATE_LIMIT_RET_CODE) {
+            lastError = new Error(result.retMsg || "Rate limit exceeded");
+            waitMs = Math.max(waitMs, untilReset);
+          } else {
+            // Quota used up: wait for the window to reset before the next call
+            if (remaining === 0 && untilReset > 0) {
+              await sleep(Math.min(untilReset, FETCH_MAX_DELAY_MS));
+            }
+            return result;
+          }
+        }
+      } catch (error) {
+        lastError = error; // Network failure
+      }
+
+      if (attempt < maxRetries) {
+        waitMs = Math.min(waitMs, FETCH_MAX_DELAY_MS);
+        console.warn(
+          `Request failed (${lastError.message}), retrying in ${Math.round(
+            waitMs
+          )}ms (${attempt + 1}/${maxRetries})`
+        );
+        await sleep(waitMs);
+      }
+    }
+
+    throw new Error(
+      `Request failed after ${maxRetries + 1} attempts: ${lastError.message}`
+    );
+  }
+
+  /**
+   * Find missing candles in a sorted series
+   * @param {Array} data - Candles sorted by time
+   * @param {string} interval - Bybit interval code
+   * @returns {Array<{from: number, to: number, missing: number}>} Gaps with the first/last missing candle times
+   */
+  findGaps(data, interval) {
+    const intervalMs = getIntervalMs(interval);
+    const gaps = [];
+
+    for (let i = 1; i < data.length; i++) {
+      const diff = data[i].time - data[i - 1].time;
+      if (diff > intervalMs) {
+        gaps.push({
+          from: data[i - 1].time + intervalMs,
+          to: data[i].time - intervalMs,
+          missing: Math.round(diff / intervalMs) - 1,
+        });
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Describe gaps and missing head/tail ranges of a series as warnings
+   * @returns {Array<string>} Warning messages (empty when the series is complete)
+   */
+  checkDataQuality(data, interval, startTime, endTime) {
+    const intervalMs = getIntervalMs(interval);
+    const warnings = [];
+    if (data.length === 0) {
+      return warnings;
+    }
+
+    const firstTime = data[0].time;
+    const lastTime = data[data.length - 1].time;
+    if (firstTime - startTime.getTime() >= intervalMs) {
+      warnings.push(
+        `Data starts at ${formatUtcTime(firstTime)} UTC, after the requested start ${formatUtcTime(startTime.getTime())} UTC`
+      );
+    }
+    if (endTime.getTime() - lastTime >= 2 * intervalMs) {
+      warnings.push(
+        `Data ends at ${formatUtcTime(lastTime)} UTC, before the requested end ${formatUtcTime(endTime.getTime())} UTC`
+      );
+    }
+
+    const gaps = this.findGaps(data, interval);
+    if (gaps.length > 0) {
+      const missing = gaps.reduce((sum, gap) => sum + gap.missing, 0);
+      const listed = gaps
+        .slice(0, 5)
+        .map((gap) =>
+          gap.missing === 1
+            ? formatUtcTime(gap.from)
+            : `${formatUtcTime(gap.from)} → ${formatUtcTime(gap.to)}`
+        )
+        .join("; ");
+      warnings.push(
+        `${missing} missing candle(s) in ${gaps.length} gap(s): ${listed}${
+          gaps.length > 5 ? `; and ${gaps.length - 5} more` : ""
+        } (UTC)`
+      );
+    }
+
+    return warnings;
+  }
 
   // Fetch historical candlestick data from Bybit API
 
   async fetchHistoricalData(
-    symbol = "BTCUSDT",
-    interval = "60",
+    symbol = DEFAULT_SYMBOL,
+    interval = DEFAULT_INTERVAL,
     startTime = null,
     endTime = null
   ) {
@@ -50,15 +630,15 @@ class DataFetcher {
     let startTimeMs = startTime.getTime();
     let endTimeMs = endTime.getTime();
     let priceData = [];
-    const gapInMilliseconds = 3600 * 1000; // 1 hour
+    let lastError = null;
+    const gapInMilliseconds = getIntervalMs(interval); // One candle
     const limit = 1000;
 
     let currentEnd = endTimeMs;
     while (currentEnd > startTimeMs) {
       try {
         const url = `${BYBIT_API_BASE}/kline?category=linear&symbol=${symbol}&interval=${interval}&limit=${limit}&end=${currentEnd}`;
-        const response = await fetch(url);
-        const result = await response.json();
+        const result = await this.fetchJsonWithRetry(url);
 
         if (result.retCode === 0 && result.result && result.result.list) {
           const dataList = result.result.list;
@@ -68,23 +648,40 @@ class DataFetcher {
           priceData.push(...dataList);
           currentEnd = currentEnd - gapInMilliseconds * limit;
         } else {
-          console.error(`API Error: ${result.retMsg || "Unknown error"}`);
+          lastError = result.retMsg || "Unknown error";
+          console.error(`API Error: ${lastError}`);
           break;
         }
       } catch (error) {
+        lastError = error.message;
         console.error(`Error fetching data: ${error}`);
         break;
       }
     }
 
+    this.lastFetchComplete = !lastError;
     if (priceData.length === 0) {
-      throw new Error("Failed to fetch any data");
+      throw new Error(
+        `Failed to fetch any data${lastError ? ` (${lastError})` : ""}`
+      );
+    }
+
+    if (lastError) {
+      this.warnings.push(
+        `Download of ${symbol} candles stopped early (${lastError}); candles up to ${formatUtcTime(
+          currentEnd
+        )} UTC were not loaded`
+      );
     }
 
     const processedData = priceData
       .map((item) => ({
         time: parseFloat(item[0]),
+        open: parseFloat(item[1]),
+        high: parseFloat(item[2]),
+        low: parseFloat(item[3]),
         close: parseFloat(item[4]),
+        volume: parseFloat(item[5]),
       }))
       .filter((item) => item.time >= startTimeMs)
       .filter(
@@ -97,12 +694,243 @@ class DataFetcher {
   }
 
 
+  /**
+   * Fetch historical candles through the local cache
+   * Only the ranges before and after the cached series are downloaded; the
+   * last cached candle is always re-fetched as it may have been in progress.
+   * A download that stops early only extends the covered range as far as it
+   * got, so the missing candles are requested again on the next run.
+   * If the network is unavailable, whatever the cache holds is returned.
+   */
+  async fetchCachedHistoricalData(
+    symbol = DEFAULT_SYMBOL,
+    interval = DEFAULT_INTERVAL,
+    startTime = null,
+    endTime = null
+  ) {
+    if (!this.cache || !this.cache.isAvailable()) {
+      return await this.fetchHistoricalData(
+        symbol,
+        interval,
+        startTime,
+        endTime
+      );
+    }
+
+    if (!startTime) {
+      startTime = new Date("2022-01-01T00:00:00Z");
+    }
+    if (!endTime) {
+      endTime = new Date();
+    }
+
+    const startTimeMs = startTime.getTime();
+    const endTimeMs = endTime.getTime();
+
+    let cached = null;
+    try {
+      cached = await this.cache.get(symbol, interval);
+    } catch (error) {
+      console.warn(`Candle cache unavailable: ${error}`);
+    }
+
+    const fetched = [];
+    let coveredStart = cached ? cached.coveredStart : startTimeMs;
+    let coveredEnd = cached ? cached.coveredEnd : endTimeMs;
+
+    try {
+      if (!cached || cached.candles.length === 0) {
+        fetched.push(
+          ...(await this.fetchHistoricalData(
+            symbol,
+            interval,
+            startTime,
+            endTime
+          ))
+        );
+        // Pages run backwards, so an early stop loses the oldest candles
+        coveredStart = this.lastFetchComplete ? startTimeMs : fetched[0].time;
+        coveredEnd = endTimeMs;
+      } else {
+        const firstTime = cached.candles[0].time;
+        // Candles past coveredEnd come from an interrupted tail download and
+        // are fetched again together with the missing range before them
+        // (from coveredStart if none of the candles can be trusted)
+        const lastCovered = cached.candles
+          .filter((item) => item.time <= cached.coveredEnd)
+          .pop();
+        const lastTime = lastCovered ? lastCovered.time : cached.coveredStart;
+
+        if (startTimeMs < cached.coveredStart) {
+          console.log("Fetching candles before cached range...");
+          const head = await this.fetchHistoricalData(
+            symbol,
+            interval,
+            startTime,
+            new Date(firstTime - 1)
+          );
+          fetched.push(...head.filter((item) => item.time < firstTime));
+          coveredStart = this.lastFetchComplete ? startTimeMs : head[0].time;
+        }
+
+        if (endTimeMs > cached.coveredEnd) {
+          console.log("Fetching candles after cached range...");
+          const tail = await this.fetchHistoricalData(
+            symbol,
+            interval,
+            new Date(lastTime),
+            endTime
+          );
+          fetched.push(...tail);
+          if (this.lastFetchComplete) {
+            coveredEnd = endTimeMs;
+          }
+        }
+      }
+    } catch (error) {
+      if (!cached) {
+        throw error;
+      }
+      console.warn(`Using cached candles only: ${error.message}`);
+      this.warnings.push(
+        `Could not update cached candles (${error.message}); using cached data only`
+      );
+    }
+
+    // Fresh candles replace cached ones with the same timestamp
+    const candlesByTime = new Map(
+      (cached ? cached.candles : []).map((item) => [item.time, item])
+    );
+    fetched.forEach((item) => candlesByTime.set(item.time, item));
+    const candles = [...candlesByTime.values()].sort((a, b) => a.time - b.time);
+
+    if (fetched.length > 0) {
+      try {
+        await this.cache.put(
+          symbol,
+          interval,
+          fetched,
+          coveredStart,
+          coveredEnd
+        );
+      } catch (error) {
+        console.warn(`Failed to update candle cache: ${error}`);
+      }
+    }
+
+    const priceData = candles.filter(
+      (item) => item.time >= startTimeMs && item.time <= endTimeMs
+    );
+    if (priceData.length === 0) {
+      throw new Error("Failed to fetch any data");
+    }
+    return priceData;
+  }
+
+  /**
+   * Fetch perpetual funding rate history from Bybit API
+   * @returns {Promise<Array<{time: number, rate: number}>>} Sorted funding events
+   */
+  async fetchFundingHistory(
+    symbol = DEFAULT_SYMBOL,
+    startTime = null,
+    endTime = null
+  ) {
+    if (!startTime) {
+      startTime = new Date("2022-01-01T00:00:00Z");
+    }
+    if (!endTime) {
+      endTime = new Date();
+    }
+
+    let startTimeMs = startTime.getTime();
+    let endTimeMs = endTime.getTime();
+    let fundingData = [];
+    let lastError = null;
+    const limit = 200;
+
+    let currentEnd = endTimeMs;
+    while (currentEnd > startTimeMs) {
+      try {
+        const url = `${BYBIT_API_BASE}/funding/history?category=linear&symbol=${symbol}&limit=${limit}&endTime=${currentEnd}`;
+        const result = await this.fetchJsonWithRetry(url);
+
+        if (result.retCode === 0 && result.result && result.result.list) {
+          const dataList = result.result.list;
+          if (!dataList || dataList.length === 0) {
+            break;
+          }
+          fundingData.push(...dataList);
+          // Funding intervals differ per symbol (8h, 4h, 1h), so page back
+          // from the oldest event returned rather than a fixed span
+          const oldest = Math.min(
+            ...dataList.map((item) => parseFloat(item.fundingRateTimestamp))
+          );
+          if (!(oldest < currentEnd)) break;
+          currentEnd = oldest - 1;
+        } else {
+          lastError = result.retMsg || "Unknown error";
+          console.error(`API Error: ${lastError}`);
+          break;
+        }
+      } catch (error) {
+        lastError = error.message;
+        console.error(`Error fetching funding history: ${error}`);
+        break;
+      }
+    }
+
+    if (lastError) {
+      this.warnings.push(
+        `Download of ${symbol} funding history stopped early (${lastError}); funding up to ${formatUtcTime(
+          currentEnd
+        )} UTC is missing`
+      );
+    }
+
+    return fundingData
+      .map((item) => ({
+        time: parseFloat(item.fundingRateTimestamp),
+        rate: parseFloat(item.fundingRate),
+      }))
+      .filter((item) => item.time >= startTimeMs && item.time <= endTimeMs)
+      .filter(
+        (item, index, self) =>
+          index === self.findIndex((t) => t.time === item.time)
+      )
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Fetch tradable linear contract symbols from Bybit API
+   * @returns {Promise<Array<string>>} Sorted symbol names
+   */
+  async fetchInstruments() {
+    let symbols = [];
+    let cursor = "";
+
+    do {
+      const url = `${BYBIT_API_BASE}/instruments-info?category=linear&status=Trading&limit=1000${
+        cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""
+      }`;
+      const result = await this.fetchJsonWithRetry(url);
+
+      if (result.retCode !== 0 || !result.result || !result.result.list) {
+        throw new Error(result.retMsg || "Failed to fetch instruments");
+      }
+
+      symbols.push(...result.result.list.map((item) => item.symbol));
+      cursor = result.result.nextPageCursor;
+    } while (cursor);
+
+    return [...new Set(symbols)].sort();
+  }
+
   // Fetch real-time price from Bybit API
-  async fetchRealtimePrice(symbol = "BTCUSDT") {
+  async fetchRealtimePrice(symbol = DEFAULT_SYMBOL) {
     try {
       const url = `${BYBIT_API_BASE}/tickers?category=linear&symbol=${symbol}`;
-      const response = await fetch(url);
-      const result = await response.json();
+      const result = await this.fetchJsonWithRetry(url);
 
       if (
         result.retCode === 0 &&
@@ -122,550 +950,5635 @@ class DataFetcher {
   }
 
   /**
-   * Fetch recent historical data for Z-Score calculation (last N hours)
-   * @param {boolean} useLastHourlyCandle - If true, use the last completed hourly candle (previous hour)
+   * Fetch recent historical data for Z-Score calculation (last N candles)
+   * @param {boolean} useLastClosedCandle - If true, end at the last completed candle (exclude the one in progress)
    */
   async fetchRecentData(
-    symbol = "BTCUSDT",
-    interval = "60",
-    hours = 200,
-    useLastHourlyCandle = true
+    symbol = DEFAULT_SYMBOL,
+    interval = DEFAULT_INTERVAL,
+    bars = 200,
+    useLastClosedCandle = true
   ) {
     let endTime = new Date();
 
-    // If useLastHourlyCandle is true, use the last completed hourly candle
-    // For example, if current time is 1:34, use 1:00 (previous hour)
-    if (useLastHourlyCandle) {
-      // Get the last completed hour (e.g., if now is 1:34, use 1:00)
-      endTime = new Date(endTime);
-      endTime.setMinutes(0);
-      endTime.setSeconds(0);
-      endTime.setMilliseconds(0);
-      // Use the previous hour's end time
-      endTime = new Date(endTime.getTime() - 1); // Subtract 1ms to get the end of previous hour
+    // If useLastClosedCandle is true, stop just before the candle in progress
+    // For example, on 1h candles at 1:34, the last candle used is 0:00-1:00
+    if (useLastClosedCandle) {
+      // Subtract 1ms to get the end of the previous candle
+      endTime = new Date(this.getLastCandleTime(interval) - 1);
     }
 
-    const startTime = new Date(endTime.getTime() - hours * 60 * 60 * 1000);
+    const startTime = new Date(
+      endTime.getTime() - bars * getIntervalMs(interval)
+    );
 
     return await this.fetchHistoricalData(symbol, interval, startTime, endTime);
   }
 
   /**
-   * Get the timestamp of the last completed hourly candle
-   * Returns the start timestamp of the current hour (e.g., if now is 1:34, returns 1:00:00)
-   * If now is exactly 2:00:00, returns 1:00:00 (previous hour)
+   * Get the close timestamp of the last completed candle
+   * This is the start of the candle in progress (e.g., on 1h candles at 1:34,
+   * returns 1:00:00). Bybit candles are aligned to UTC epoch boundaries.
+   * Within the first second of a new candle the previous boundary is returned,
+   * as the just-closed candle may not be published yet.
+   * @param {string} interval - Bybit interval code
    */
-  getLastHourlyCandleTime() {
-    const now = new Date();
-    const currentHour = new Date(now);
-    currentHour.setMinutes(0);
-    currentHour.setSeconds(0);
-    currentHour.setMilliseconds(0);
+  getLastCandleTime(interval = DEFAULT_INTERVAL) {
+    const intervalMs = getIntervalMs(interval);
+    const now = Date.now();
+    const currentCandle = Math.floor(now / intervalMs) * intervalMs;
 
-    // If we're exactly at the start of an hour (e.g., 2:00:00), use previous hour
-    // Otherwise, use current hour's start time
-    if (
-      now.getMinutes() === 0 &&
-      now.getSeconds() === 0 &&
-      now.getMilliseconds() < 1000
-    ) {
-      // Exactly at hour start, use previous hour
-      return new Date(currentHour.getTime() - 3600000).getTime();
-    } else {
-      // Use current hour's start time
-      return currentHour.getTime();
+    if (now - currentCandle < 1000) {
+      return currentCandle - intervalMs;
     }
+    return currentCandle;
   }
 }
 
-// Backtest Engine 
-class BacktestEngine {
-  constructor() {}
-
-  calculateZScore(data, window) {
-    const result = data.map((item, index) => {
-      if (index < window - 1) {
-        return { ...item, mean: null, std: null, zscore: null };
-      }
-
-      const windowData = data
-        .slice(index - window + 1, index + 1)
-        .map((d) => d.close);
-      const mean = windowData.reduce((a, b) => a + b, 0) / window;
-      const variance =
-        windowData.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) /
-        window;
-      const std = Math.sqrt(variance);
-      const zscore = std !== 0 ? (item.close - mean) / std : 0;
-
-      return { ...item, mean, std, zscore };
-    });
-
-    return result;
+// OHLCV File Importer
+// Parses user-supplied CSV/JSON candles into the same series format as Bybit
+class OhlcvImporter {
+  constructor() {
+    // Column name patterns used to guess the column mapping (compared lowercase, without separators)
+    this.columnPatterns = {
+      time: /^(time|timestamp|date|datetime|opentime|starttime|start|ts|unix)$/,
+      open: /^(open|o)$/,
+      high: /^(high|h)$/,
+      low: /^(low|l)$/,
+      close: /^(close|c|price|last|adjclose)$/,
+      volume: /^(volume|vol|v)$/,
+    };
   }
 
-  generateSignals(data, entryThreshold, exitThreshold, logicType, side) {
-    // Initialize position array with NaN (matching Python logic)
-    const position = new Array(data.length).fill(NaN);
+  /**
+   * Parse file contents into rows keyed by column name
+   * JSON may be an array of objects or arrays, or an object holding one
+   * (data, candles or Bybit's result.list). CSV may be comma, semicolon or tab
+   * separated, with or without a header row.
+   * @param {string} text - File contents
+   * @param {string} fileName - File name, used to tell JSON from CSV
+   * @returns {{columns: Array<string>, rows: Array<Object>}}
+   */
+  parse(text, fileName = "") {
+    text = text.replace(/^\uFEFF/, ""); // Byte order mark
+    const trimmed = text.trim();
+    if (trimmed.length === 0) {
+      throw new Error("The file is empty");
+    }
 
-    // First pass: set positions based on signal conditions
-    for (let i = 0; i < data.length; i++) {
-      const signal = data[i].zscore;
-      if (signal === null || isNaN(signal)) {
-        continue;
-      }
+    if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+      return this.parseJson(trimmed);
+    }
+    return this.parseCsv(trimmed);
+  }
 
-      if (logicType === "trend") {
-        if (side === "long") {
-          if (signal >= entryThreshold) position[i] = 1; // Enter long
-          if (signal <= exitThreshold) position[i] = 0; // Exit position
-        } else if (side === "short") {
-          if (signal >= entryThreshold) position[i] = 0; // Exit position
-          if (signal <= exitThreshold) position[i] = -1; // Enter short
-        } else if (side === "both") {
-          if (signal >= entryThreshold) position[i] = 1; // Enter long
-          if (signal <= exitThreshold) position[i] = -1; // Enter short
-        }
-      } else if (logicType === "fast") {
-        if (side === "long") {
-          position[i] = signal >= entryThreshold ? 1 : 0;
-        } else if (side === "short") {
-          position[i] = signal <= exitThreshold ? -1 : 0;
-        } else if (side === "both") {
-          if (signal >= entryThreshold) position[i] = 1; // Enter long
-          if (signal <= exitThreshold) position[i] = -1; // Enter short
-        }
-      }
+  parseJson(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
     }
 
-    // Forward fill positions (matching pd.Series(position).ffill().fillna(0))
-    let lastPosition = 0;
-    for (let i = 0; i < position.length; i++) {
-      if (isNaN(position[i])) {
-        position[i] = lastPosition;
-      } else {
-        lastPosition = position[i];
-      }
+    const list = Array.isArray(json)
+      ? json
+      : json?.data || json?.candles || json?.result?.list;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error("JSON must contain a non-empty array of candles");
     }
 
-    // Apply positions to result
-    const result = data.map((item, index) => ({
-      ...item,
-      pos: position[index],
-    }));
+    if (Array.isArray(list[0])) {
+      return this.fromArrays(list);
+    }
 
-    return result;
+    const columns = Object.keys(list[0]);
+    return {
+      columns,
+      rows: list.map((item) =>
+        Object.fromEntries(columns.map((column) => [column, item?.[column]]))
+      ),
+    };
   }
 
-  backtest(data, window, entryThreshold, exitThreshold, logicType, side) {
-    let df = this.calculateZScore(data, window);
-    df = df.map((item) => ({ ...item, signal: item.zscore }));
-    df = this.generateSignals(
-      df,
-      entryThreshold,
-      exitThreshold,
-      logicType,
-      side
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+    const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+      lines[0].split(candidate).length > lines[0].split(best).length
+        ? candidate
+        : best
     );
+    const records = lines.map((line) => this.splitCsvLine(line, delimiter));
 
-    df = df.map((item, index) => {
-      if (index === 0) {
-        return { ...item, priceChange: 0 };
-      }
-      const priceChange =
-        (item.close - df[index - 1].close) / df[index - 1].close;
-      return { ...item, priceChange };
-    });
+    // A header row has no numeric fields
+    const isHeader = records[0].every(
+      (field) => field === "" || isNaN(Number(field))
+    );
+    if (!isHeader) {
+      return this.fromArrays(records);
+    }
 
-    df = df.map((item, index) => {
-      const posPrev = index === 0 ? 0 : df[index - 1].pos;
-      return { ...item, posPrev };
-    });
+    const columns = records[0].map(
+      (field, index) => field || `column ${index + 1}`
+    );
+    return {
+      columns,
+      rows: records
+        .slice(1)
+        .map((record) =>
+          Object.fromEntries(
+            columns.map((column, index) => [column, record[index]])
+          )
+        ),
+    };
+  }
 
-    df = df.map((item) => {
-      const trades = Math.abs(item.posPrev - item.pos);
-      return { ...item, trades };
-    });
+  /**
+   * Split one CSV line, honouring double-quoted fields
+   */
+  splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (inQuotes) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        fields.push(field.trim());
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
 
-    df = df.map((item) => {
-      const pnl = item.posPrev * item.priceChange; // No fees calculation
-      return { ...item, pnl };
-    });
+    return fields;
+  }
 
-    let cumulativePnl = 0;
-    df = df.map((item) => {
-      cumulativePnl += item.pnl;
-      return { ...item, cumulativePnl };
-    });
+  // Rows without column names get "column 1", "column 2", ...
+  fromArrays(records) {
+    const width = Math.max(...records.map((record) => record.length));
+    const columns = Array.from(
+      { length: width },
+      (_, index) => `column ${index + 1}`
+    );
+    return {
+      columns,
+      rows: records.map((record) =>
+        Object.fromEntries(
+          columns.map((column, index) => [column, record[index]])
+        )
+      ),
+    };
+  }
 
-    let maxCumulativePnl = 0;
-    df = df.map((item) => {
-      maxCumulativePnl = Math.max(maxCumulativePnl, item.cumulativePnl);
-      const drawdown = item.cumulativePnl - maxCumulativePnl;
-      return { ...item, drawdown };
-    });
+  /**
+   * Guess which column holds each field
+   * Unnamed columns are assumed to be in exchange order:
+   * time, open, high, low, close, volume.
+   * @param {Array<string>} columns - Column names
+   * @returns {Object} Mapping of time/open/high/low/close/volume to a column name or ""
+   */
+  guessMapping(columns) {
+    const mapping = {};
+
+    if (columns.every((column) => /^column \d+$/.test(column))) {
+      const order =
+        columns.length >= 5
+          ? ["time", "open", "high", "low", "close", "volume"]
+          : ["time", "close"];
+      for (const field of Object.keys(this.columnPatterns)) {
+        const index = order.indexOf(field);
+        mapping[field] = index >= 0 && columns[index] ? columns[index] : "";
+      }
+      return mapping;
+    }
 
-    return df;
+    for (const [field, pattern] of Object.entries(this.columnPatterns)) {
+      mapping[field] =
+        columns.find((column) =>
+          pattern.test(column.toLowerCase().replace(/[^a-z]/g, ""))
+        ) || "";
+    }
+    return mapping;
   }
-}
-
-// Metrics Calculator
 
-class MetricsCalculator {
-  constructor(interval = "1h") {
-    this.annualizer =
-      {
-        "1m": 365 * 24 * 60,
-        "5m": (365 * 24 * 60) / 5,
-        "10m": (365 * 24 * 60) / 10,
-        "15m": (365 * 24 * 60) / 15,
-        "30m": (365 * 24 * 60) / 30,
-        "60m": 365 * 24,
-        "1h": 365 * 24,
-        "4h": (365 * 24) / 4,
-        "1d": 365,
-      }[interval] || 365 * 24;
+  /**
+   * Work out the timestamp format from a sample value
+   * @returns {string} "unix_s", "unix_ms", "unix_us" or "datetime"
+   */
+  detectTimestampFormat(value) {
+    const text = String(value ?? "").trim();
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+      return "datetime";
+    }
+    const number = Number(text);
+    if (number >= 1e14) return "unix_us";
+    if (number >= 1e11) return "unix_ms";
+    return "unix_s";
   }
 
-  calculateAllMetrics(df, window) {
-    const validDf = df.filter(
-      (item) => item.pnl !== null && !isNaN(item.pnl) && item.pnl !== undefined
-    );
+  /**
+   * Convert a timestamp to epoch milliseconds
+   * Date strings without an explicit offset are read in the chosen timezone.
+   * @param {string|number} value - Raw timestamp
+   * @param {string} format - "unix_s", "unix_ms", "unix_us" or "datetime"
+   * @param {string} timezone - "local" or the UTC offset in minutes, e.g. "0" or "480"
+   * @returns {number} Epoch milliseconds, NaN when the value cannot be read
+   */
+  parseTimestamp(value, format, timezone) {
+    const text = String(value ?? "").trim();
 
-    if (validDf.length === 0) {
-      return this.emptyMetrics();
+    if (format !== "datetime") {
+      if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+      const scale = { unix_s: 1000, unix_ms: 1, unix_us: 0.001 }[format];
+      return Math.round(Number(text) * scale);
     }
 
-    const pnl = validDf.map((item) => item.pnl);
-    const cumulativePnl = validDf.map((item) => item.cumulativePnl);
-    const drawdown = validDf.map((item) => item.drawdown);
-    const trades = validDf.reduce((sum, item) => sum + item.trades, 0);
-
-    const meanPnl = pnl.reduce((a, b) => a + b, 0) / pnl.length;
-    const variance =
-      pnl.reduce((sum, val) => sum + Math.pow(val - meanPnl, 2), 0) /
-      pnl.length;
-    const stdPnl = Math.sqrt(variance);
-    const sharpeRatio =
-      pnl.length > 1 && stdPnl !== 0
-        ? (meanPnl / stdPnl) * Math.sqrt(this.annualizer)
-        : NaN;
+    const match = text.match(
+      /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|UTC|[+-]\d{2}:?\d{2})?$/i
+    );
+    if (!match) return NaN;
+
+    const [year, month, day, hour, minute, second] = match
+      .slice(1, 7)
+      .map((part) => parseInt(part || "0"));
+    const millis = parseInt((match[7] || "0").padEnd(3, "0"));
+    const zone = match[8];
+
+    if (!zone && timezone === "local") {
+      return new Date(
+        year,
+        month - 1,
+        day,
+        hour,
+        minute,
+        second,
+        millis
+      ).getTime();
+    }
 
-    const maxDrawdown = Math.min(...drawdown);
-    const annualizedReturn = pnl.length > 0 ? meanPnl * this.annualizer : 0.0;
-    const calmarRatio =
-      maxDrawdown !== 0 ? annualizedReturn / Math.abs(maxDrawdown) : NaN;
-    const totalReturn = cumulativePnl[cumulativePnl.length - 1];
-    const numTrades = Math.floor(trades);
-    const effectivePeriods = validDf.length - window;
+    let offsetMinutes = parseInt(timezone) || 0;
+    if (zone) {
+      const offset = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+      offsetMinutes = offset
+        ? (offset[1] === "-" ? -1 : 1) *
+          (parseInt(offset[2]) * 60 + parseInt(offset[3]))
+        : 0;
+    }
 
-    const startDate = new Date(validDf[0].time);
-    const endDate = new Date(validDf[validDf.length - 1].time);
-    const periodDays = Math.floor(
-      (endDate - startDate) / (1000 * 60 * 60 * 24)
+    return (
+      Date.UTC(year, month - 1, day, hour, minute, second, millis) -
+      offsetMinutes * 60000
     );
-
-    return {
-      "Sharpe Ratio": isNaN(sharpeRatio) ? NaN : Number(sharpeRatio.toFixed(4)),
-      "Calmar Ratio": isNaN(calmarRatio) ? NaN : Number(calmarRatio.toFixed(4)),
-      "Max Drawdown": Number(maxDrawdown.toFixed(4)),
-      "Annualized Return": Number(annualizedReturn.toFixed(4)),
-      "Total Return": Number(totalReturn.toFixed(4)),
-      "Number of Trades": numTrades,
-      "Start Date": startDate.toISOString().replace("T", " ").substring(0, 19),
-      "End Date": endDate.toISOString().replace("T", " ").substring(0, 19),
-      "Period (days)": periodDays,
-    };
   }
 
-  emptyMetrics() {
-    return {
-      "Sharpe Ratio": NaN,
-      "Calmar Ratio": NaN,
-      "Max Drawdown": 0.0,
-      "Annualized Return": 0.0,
-      "Total Return": 0.0,
-      "Number of Trades": 0,
-      "Start Date": "N/A",
-      "End Date": "N/A",
-      "Period (days)": 0,
-    };
-  }
-}
+  /**
+   * Build a sorted candle series from parsed rows
+   * Rows are sorted by time and duplicate timestamps keep the last row; both
+   * are reported as warnings. Unreadable values stop the import.
+   * @param {Array<Object>} rows - Rows from parse()
+   * @param {Object} mapping - Column mapping, time and close are required
+   * @param {Object} options - {timestampFormat: "auto"|..., timezone}
+   * @returns {{data: Array, interval: string, timestampFormat: string, warnings: Array<string>}}
+   */
+  toSeries(rows, mapping, options = {}) {
+    if (!mapping.time || !mapping.close) {
+      throw new Error("Select the time and close columns");
+    }
 
-// Strategy Evaluator 
+    const timezone = options.timezone || "0";
+    const timestampFormat =
+      !options.timestampFormat || options.timestampFormat === "auto"
+        ? this.detectTimestampFormat(rows[0]?.[mapping.time])
+        : options.timestampFormat;
+    const optionalFields = ["open", "high", "low", "volume"].filter(
+      (field) => mapping[field]
+    );
+    const warnings = [];
 
-class StrategyEvaluator {
-  constructor(
-    minSharpeRatio = 1.0,
-    minCalmarRatio = 1.0,
-    maxDrawdownThreshold = -0.5,
-    minTrades = 80
-  ) {
-    this.minSharpeRatio = minSharpeRatio;
-    this.minCalmarRatio = minCalmarRatio;
-    this.maxDrawdownThreshold = maxDrawdownThreshold;
-    this.minTrades = minTrades;
-  }
+    let data = rows.map((row, index) => {
+      const time = this.parseTimestamp(
+        row[mapping.time],
+        timestampFormat,
+        timezone
+      );
+      if (!isFinite(time)) {
+        throw new Error(
+          `Row ${index + 1}: cannot read timestamp "${row[mapping.time]}"`
+        );
+      }
 
-  evaluate(metrics) {
-    const reasons = [];
-    let passedChecks = 0;
-    let totalChecks = 0;
+      const candle = { time, close: parseFloat(row[mapping.close]) };
+      if (!(candle.close > 0)) {
+        throw new Error(
+          `Row ${index + 1}: close price "${row[mapping.close]}" is not a positive number`
+        );
+      }
+      for (const field of optionalFields) {
+        candle[field] = parseFloat(row[mapping[field]]);
+        if (isNaN(candle[field])) {
+          throw new Error(
+            `Row ${index + 1}: ${field} "${row[mapping[field]]}" is not a number`
+          );
+        }
+      }
+      return candle;
+    });
 
-    // Sharpe Ratio
-    totalChecks++;
-    const sharpe = metrics["Sharpe Ratio"];
-    if (!isNaN(sharpe) && sharpe > this.minSharpeRatio) {
-      passedChecks++;
-      reasons.push(
-        `✓ Sharpe Ratio (${sharpe.toFixed(2)}) > ${this.minSharpeRatio}`
-      );
-    } else {
-      reasons.push(
-        `✗ Sharpe Ratio (${isNaN(sharpe) ? "N/A" : sharpe.toFixed(2)}) ≤ ${
-          this.minSharpeRatio
-        }`
-      );
+    if (data.length < 2) {
+      throw new Error("The file must contain at least two candles");
     }
 
-    // Calmar Ratio
-    totalChecks++;
-    const calmar = metrics["Calmar Ratio"];
-    if (!isNaN(calmar) && calmar > this.minCalmarRatio) {
-      passedChecks++;
-      reasons.push(
-        `✓ Calmar Ratio (${calmar.toFixed(2)}) > ${this.minCalmarRatio}`
+    // Newest-first files (as Bybit returns them) are read in reverse, so
+    // only rows against the file's own direction count as out of order.
+    // Equal timestamps are duplicates, not a direction.
+    const steps = data
+      .slice(1)
+      .map((item, index) => item.time - data[index].time);
+    const newestFirst =
+      steps.filter((step) => step < 0).length >
+      steps.filter((step) => step > 0).length;
+    const outOfOrder = steps.filter((step) =>
+      newestFirst ? step > 0 : step < 0
+    ).length;
+    if (outOfOrder > 0) {
+      warnings.push(
+        `${outOfOrder} row(s) were out of chronological order and have been sorted`
       );
-    } else {
-      reasons.push(
-        `✗ Calmar Ratio (${isNaN(calmar) ? "N/A" : calmar.toFixed(2)}) ≤ ${
-          this.minCalmarRatio
-        }`
+    }
+    if (newestFirst || outOfOrder > 0) {
+      // Stable, so duplicates keep their file order and the last row wins
+      data = data
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => a.item.time - b.item.time || a.index - b.index)
+        .map(({ item }) => item);
+    }
+
+    const unique = data.filter(
+      (item, index) =>
+        index === data.length - 1 || item.time !== data[index + 1].time
+    );
+    if (unique.length < data.length) {
+      warnings.push(
+        `${data.length - unique.length} duplicate timestamp(s); kept the last row for each`
       );
+      data = unique;
     }
 
-    // Max Drawdown
-    totalChecks++;
-    const mdd = metrics["Max Drawdown"];
+    if (mapping.high && mapping.low) {
+      const invalid = data.filter(
+        (item) =>
+          item.high < Math.max(item.low, item.close, item.open ?? item.close) ||
+          item.low > Math.min(item.high, item.close, item.open ?? item.close)
+      ).length;
+      if (invalid > 0) {
+        warnings.push(
+          `${invalid} candle(s) have a high/low that does not contain the open and close`
+        );
+      }
+    }
 
-    if (!isNaN(mdd) && mdd >= this.maxDrawdownThreshold) {
-      passedChecks++;
-      reasons.push(
-        `✓ Max Drawdown (${mdd.toFixed(4)}) ≥ ${this.maxDrawdownThreshold}`
-      );
-    } else {
-      reasons.push(
-        `✗ Max Drawdown (${mdd.toFixed(4)}) < ${this.maxDrawdownThreshold}`
+    const { interval, exact } = this.inferInterval(data);
+    if (!exact) {
+      warnings.push(
+        `Candle spacing does not match a supported timeframe; metrics are annualized as ${getIntervalLabel(
+          interval
+        )} candles`
       );
     }
 
+    return { data, interval, timestampFormat, warnings };
+  }
 
-    // Number of Trades
-    totalChecks++;
-    const numTrades = metrics["Number of Trades"];
-    if (numTrades > this.minTrades) {
-      passedChecks++;
-      reasons.push(
-        `✓ Number of Trades (${numTrades}) > ${this.minTrades}`
-      );
-    } else {
-      reasons.push(
-        `✗ Number of Trades (${numTrades}) ≤ ${this.minTrades}`
-      );
+  /**
+   * Find the timeframe closest to the typical (median) candle spacing
+   * @returns {{interval: string, exact: boolean}}
+   */
+  inferInterval(data) {
+    const diffs = data
+      .slice(1)
+      .map((item, index) => item.time - data[index].time)
+      .sort((a, b) => a - b);
+    const median = diffs[Math.floor(diffs.length / 2)];
+
+    let best = DEFAULT_INTERVAL;
+    for (const [interval, { ms }] of Object.entries(BYBIT_INTERVALS)) {
+      if (
+        Math.abs(Math.log(ms / median)) <
+        Math.abs(Math.log(getIntervalMs(best) / median))
+      ) {
+        best = interval;
+      }
     }
 
-    const isRecommended = passedChecks === totalChecks;
-    return [isRecommended, reasons];
+    return { interval: best, exact: getIntervalMs(best) === median };
   }
 }
 
+// Strategy Registry
 
-// Telegram Notifier
+/**
+ * Shared rule of the trend strategy: switch on a threshold, otherwise hold
+ * Thresholds are inclusive; when both fire (entry ≤ exit) the exit rule wins.
+ */
+function decideTrendPosition(position, bar, config) {
+  const aboveEntry = bar.zscore >= config.entryThreshold;
+  const belowExit = bar.zscore <= config.exitThreshold;
+
+  if (config.side === "long") {
+    if (belowExit) return 0;
+    if (aboveEntry) return 1;
+  } else if (config.side === "short") {
+    if (belowExit) return -1;
+    if (aboveEntry) return 0;
+  } else {
+    if (belowExit) return -1;
+    if (aboveEntry) return 1;
+  }
+  return position;
+}
 
-class TelegramNotifier {
-  constructor(botToken, chatId) {
-    this.botToken = botToken;
-    this.chatId = chatId;
-    this.baseUrl = `${TELEGRAM_API_BASE}${botToken}`;
+/**
+ * Strategy plug-ins, keyed by the logic_type value used by forms and reports
+ * Each strategy provides:
+ * - label: name shown in the strategy selects and reports
+ * - params: schema of its own parameters ({ key, label, default, step, min, max, hint })
+ * - indicators(engine, data, window, config): candles with a zscore (plus any
+ *   strategy-specific columns), computed once before the bar loop
+ * - decide(position, bar, config): position after the bar (1, 0 or -1) given
+ *   the one held before it
+ * config has side, entryThreshold, exitThreshold, params and zscore (the
+ * Z-Score definition, see DEFAULT_ZSCORE).
+ * Bars without a Z-Score never reach decide, they keep the previous position.
+ */
+const STRATEGIES = {
+  trend: {
+    label: "Trend Strategy",
+    params: [],
+    indicators: (engine, data, window, config) =>
+      engine.calculateZScore(data, window, config.zscore),
+    decide: decideTrendPosition,
+  },
+
+  fast: {
+    label: "Fast Strategy",
+    params: [],
+    indicators: (engine, data, window, config) =>
+      engine.calculateZScore(data, window, config.zscore),
+    decide(position, bar, config) {
+      // Single-sided: in the market only while beyond the threshold
+      if (config.side === "long") {
+        return bar.zscore >= config.entryThreshold ? 1 : 0;
+      }
+      if (config.side === "short") {
+        return bar.zscore <= config.exitThreshold ? -1 : 0;
+      }
+      return decideTrendPosition(position, bar, config);
+    },
+  },
+
+  mean_reversion: {
+    label: "Mean Reversion",
+    params: [
+      {
+        key: "exit_z",
+        label: "Reversion Exit Z",
+        default: 0,
+        step: 0.1,
+        min: -5,
+        max: 5,
+        hint: "Close when the Z-Score reverts to this level",
+      },
+    ],
+    indicators: (engine, data, window, config) =>
+      engine.calculateZScore(data, window, config.zscore),
+    decide(position, bar, config) {
+      const { zscore } = bar;
+      const exitZ = config.params.exit_z;
+
+      if (position === 1 && zscore >= exitZ) position = 0;
+      if (position === -1 && zscore <= exitZ) position = 0;
+
+      // Fade the extremes: short above the entry, long below the exit
+      if (config.side !== "long" && zscore >= config.entryThreshold) return -1;
+      if (config.side !== "short" && zscore <= config.exitThreshold) return 1;
+      return position;
+    },
+  },
+
+  bollinger_breakout: {
+    label: "Bollinger Breakout",
+    params: [
+      {
+        key: "band_exit",
+        label: "Breakout Exit (σ)",
+        default: 0,
+        step: 0.1,
+        min: 0,
+        max: 5,
+        hint: "Close when price falls back within this many σ of the middle band",
+      },
+    ],
+    indicators(engine, data, window, config) {
+      const rows = engine.calculateZScore(data, window, config.zscore);
+      return rows.map((item, index) => ({
+        ...item,
+        upperBand: engine.zscoreToPrice(
+          rows,
+          index,
+          config.entryThreshold,
+          config.zscore
+        ),
+        lowerBand: engine.zscoreToPrice(
+          rows,
+          index,
+          config.exitThreshold,
+          config.zscore
+        ),
+      }));
+    },
+    decide(position, bar, config) {
+      // A close at a band is a Z-Score at the threshold, so compare Z-Scores
+      const { zscore } = bar;
+      const exitZ = config.params.band_exit;
+
+      if (position === 1 && zscore <= exitZ) position = 0;
+      if (position === -1 && zscore >= -exitZ) position = 0;
+
+      // Follow a close outside the bands (entry / exit thresholds in σ)
+      if (config.side !== "short" && zscore >= config.entryThreshold) return 1;
+      if (config.side !== "long" && zscore <= config.exitThreshold) return -1;
+      return position;
+    },
+  },
+};
+
+/**
+ * Add a strategy plug-in (see STRATEGIES for the interface)
+ * Call before the page finishes loading so the selects list it.
+ * @param {string} id - logic_type value
+ * @param {Object} strategy - Strategy definition
+ */
+function registerStrategy(id, strategy) {
+  STRATEGIES[id] = { params: [], ...strategy };
+}
+
+/**
+ * Look up a strategy plug-in
+ * @param {string} id - logic_type value
+ * @returns {Object} Strategy definition
+ */
+function getStrategy(id) {
+  const strategy = STRATEGIES[id];
+  if (!strategy) {
+    throw new Error(`Unknown strategy type: ${id}`);
+  }
+  return strategy;
+}
+
+/**
+ * Fill a strategy's parameters with defaults for missing values
+ * @param {string} id - logic_type value
+ * @param {Object} params - Parameter values by key
+ * @returns {Object} Complete parameter set
+ */
+function resolveStrategyParams(id, params = {}) {
+  const resolved = {};
+  for (const param of getStrategy(id).params) {
+    const value = params[param.key];
+    resolved[param.key] =
+      value === undefined || isNaN(value) ? param.default : value;
   }
+  return resolved;
+}
 
+// Strategy State Machine
+
+/**
+ * Bar-by-bar strategy runner shared by the backtest and the live monitor,
+ * so both turn the same candles into the same positions.
+ * Positions are 1 (long), 0 (flat) and -1 (short). A bar without a Z-Score,
+ * or one that triggers no rule, keeps the previous position.
+ */
+class StrategyStateMachine {
   /**
-   * Send message to Telegram
-   * @param {string} message - Message content
-   * @returns {Promise<boolean>} Success status
+   * @param {string} logicType - Strategy id in STRATEGIES
+   * @param {string} side - "long", "short" or "both"
+   * @param {number} entryThreshold - Upper Z-Score threshold
+   * @param {number} exitThreshold - Lower Z-Score threshold
+   * @param {Object} params - Strategy-specific parameters
+   * @param {Object} zscore - Z-Score definition (see DEFAULT_ZSCORE)
    */
-  async sendMessage(message) {
-    try {
-      const url = `${this.baseUrl}/sendMessage`;
-      const params = new URLSearchParams({
-        chat_id: this.chatId,
-        text: message,
-      });
+  constructor(
+    logicType,
+    side,
+    entryThreshold,
+    exitThreshold,
+    params = {},
+    zscore = DEFAULT_ZSCORE
+  ) {
+    this.strategy = getStrategy(logicType);
+    this.config = {
+      side,
+      entryThreshold,
+      exitThreshold,
+      params: resolveStrategyParams(logicType, params),
+      zscore: { ...DEFAULT_ZSCORE, ...zscore },
+    };
+    this.position = 0;
+  }
 
-      const response = await fetch(url, {
-        method: "POST",
-        body: params,
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      });
+  /**
+   * Add the strategy's indicator columns to a candle series
+   * @param {BacktestEngine} engine - Engine providing the Z-Score calculation
+   * @param {Array} data - Candles sorted by time
+   * @param {number} window - Rolling window
+   * @returns {Array} Candles with zscore and strategy-specific columns
+   */
+  computeIndicators(engine, data, window) {
+    return this.strategy.indicators(engine, data, window, this.config);
+  }
 
-      const result = await response.json();
-      return result.ok === true;
-    } catch (error) {
-      console.error("Error sending Telegram message:", error);
-      return false;
+  /**
+   * Restart from a given position (flat by default)
+   * @param {number} position - 1, 0 or -1
+   */
+  reset(position = 0) {
+    this.position = position;
+  }
+
+  /**
+   * Position after a bar, given the position held before it
+   * @param {number} position - Position before the bar
+   * @param {Object} bar - Candle with indicator columns
+   * @returns {number} 1, 0 or -1
+   */
+  nextPosition(position, bar) {
+    if (bar.zscore === null || isNaN(bar.zscore)) {
+      return position;
     }
+    return this.strategy.decide(position, bar, this.config);
   }
 
   /**
-   * Send test message
-   * @returns {Promise<boolean>} Success status
+   * Advance the state machine by one bar
+   * @param {Object} bar - Candle with indicator columns
+   * @returns {number} Position held after the bar
    */
-  async sendTestMessage() {
-    const now = new Date();
-    const timestamp = now.toLocaleString("en-US", {
-      hour12: false,
-    });
+  step(bar) {
+    this.position = this.nextPosition(this.position, bar);
+    return this.position;
+  }
+}
 
-    const testMessage =
-      "🤖 Bitcoin Trading Strategy System\n\n" +
-      "✅ Telegram connection test successful!\n" +
-      `⏰ Time: ${timestamp}\n\n` +
-      "System is ready to monitor Bitcoin prices and send trading signals.";
+// Backtest Engine 
+class BacktestEngine {
+  constructor() {}
 
-    return await this.sendMessage(testMessage);
+  /**
+   * Rolling Z-Score of the close, or of its log / log returns
+   * mean, std and zscore are in the units of the chosen series, so that
+   * zscore = (x - mean) / std always holds. priceStd is the rolling
+   * population σ of the close in price units, used by σ-based exits, sizing
+   * and slippage whatever the Z-Score definition.
+   * @param {Array} data - Candles sorted by time
+   * @param {number} window - Lookback in candles (EWMA span for "ewma")
+   * @param {Object} settings - Z-Score definition (see DEFAULT_ZSCORE)
+   * @returns {Array} Candles with mean, std, zscore and priceStd (null until warm)
+   */
+  calculateZScore(data, window, settings = {}) {
+    const { method, source, stdType } = { ...DEFAULT_ZSCORE, ...settings };
+    const closes = data.map((item) => item.close);
+    const series = this.getZScoreSeries(data, source);
+
+    let stats;
+    if (method === "ewma") {
+      stats = this.calculateEwmaStats(series, window, stdType);
+    } else if (method === "robust") {
+      stats = this.calculateRobustStats(series, window);
+    } else {
+      stats = this.calculateRollingStats(series, window, stdType);
+    }
+    const priceStats =
+      source === "close" && method === "rolling" && stdType === "population"
+        ? stats
+        : this.calculateRollingStats(closes, window, "population");
+
+    return data.map((item, index) => {
+      const { mean, std } = stats[index];
+      if (mean === null) {
+        return { ...item, mean: null, std: null, zscore: null, priceStd: null };
+      }
+      const zscore = std !== 0 ? (series[index] - mean) / std : 0;
+      return { ...item, mean, std, zscore, priceStd: priceStats[index].std };
+    });
   }
 
   /**
-   * Send trading signal
-   * @param {string} signalType - 'entry_long', 'entry_short', 'exit_long', 'exit_short'
-   * @param {number} price - Current price
-   * @param {number} zscore - Current Z-Score
-   * @param {number} entryThreshold - Entry threshold
-   * @param {number} exitThreshold - Exit threshold
-   * @returns {Promise<boolean>} Success status
+   * Series the Z-Score is measured on
+   * @param {Array} data - Candles sorted by time
+   * @param {string} source - "close", "log" or "returns"
+   * @returns {Array<number|null>} Values per candle (null where undefined)
    */
-  async sendSignal(signalType, price, zscore, entryThreshold, exitThreshold) {
-    const timestamp = new Date()
-      .toISOString()
-      .replace("T", " ")
-      .substring(0, 19);
+  getZScoreSeries(data, source) {
+    const closes = data.map((item) => item.close);
+    if (source === "log") {
+      return closes.map((close) => Math.log(close));
+    }
+    if (source === "returns") {
+      return closes.map((close, index) =>
+        index === 0 ? null : Math.log(close / closes[index - 1])
+      );
+    }
+    return closes;
+  }
+
+  /**
+   * Mean and σ over a trailing window that includes the current value
+   * Streams in O(n): the window is updated as one value enters and one
+   * leaves (Welford), and recomputed exactly once per window length so
+   * rounding errors cannot build up over long histories.
+   * @param {Array<number|null>} values - Series (nulls only at the start)
+   * @param {number} window - Lookback
+   * @param {string} stdType - "population" or "sample"
+   * @returns {Array<{mean: number|null, std: number|null}>}
+   */
+  calculateRollingStats(values, window, stdType) {
+    const divisor = stdType === "sample" && window > 1 ? window - 1 : window;
+    let count = 0; // Non-null values seen since the last null
+    let mean = 0;
+    let m2 = 0; // Sum of squared deviations from the mean
+
+    return values.map((value, index) => {
+      if (value === null) {
+        count = 0;
+        mean = 0;
+        m2 = 0;
+        return { mean: null, std: null };
+      }
+
+      if (count < window) {
+        count++;
+        const delta = value - mean;
+        mean += delta / count;
+        m2 += delta * (value - mean);
+      } else if (index % window === 0) {
+        const windowData = values.slice(index - window + 1, index + 1);
+        mean = windowData.reduce((a, b) => a + b, 0) / window;
+        m2 = windowData.reduce((sum, val) => sum + (val - mean) ** 2, 0);
+      } else {
+        const leaving = values[index - window];
+        const nextMean = mean + (value - leaving) / window;
+        m2 += (value - leaving) * (value - nextMean + leaving - mean);
+        mean = nextMean;
+      }
+
+      if (count < window) {
+        return { mean: null, std: null };
+      }
+      return { mean, std: Math.sqrt(Math.max(0, m2) / divisor) };
+    });
+  }
+
+  /**
+   * Exponentially weighted mean and σ with span = window (α = 2 / (window + 1))
+   * Values are reported once window observations have been seen. The sample
+   * variant applies the bias correction for EW weights, 1 / (1 - Σw²).
+   * @param {Array<number|null>} values - Series (nulls only at the start)
+   * @param {number} window - Span
+   * @param {string} stdType - "population" or "sample"
+   * @returns {Array<{mean: number|null, std: number|null}>}
+   */
+  calculateEwmaStats(values, window, stdType) {
+    const alpha = 2 / (window + 1);
+    const correction =
+      stdType === "sample" && alpha < 1 ? (2 - alpha) / (2 - 2 * alpha) : 1;
+    let mean = null;
+    let variance = 0;
+    let count = 0;
+
+    return values.map((value) => {
+      if (value === null) {
+        return { mean: null, std: null };
+      }
+      if (mean === null) {
+        mean = value;
+      } else {
+        const diff = value - mean;
+        mean += alpha * diff;
+        variance = (1 - alpha) * (variance + alpha * diff * diff);
+      }
+      count++;
+
+      if (count < window) {
+        return { mean: null, std: null };
+      }
+      return { mean, std: Math.sqrt(variance * correction) };
+    });
+  }
+
+  /**
+   * Rolling median and MAD scaled by 1.4826 (≈ σ for normal data)
+   * Keeps the window sorted (binary-search insert / remove) and finds the
+   * MAD by binary search over that order, instead of sorting every window.
+   * The searches are O(log window), but splice shifts the array, so each bar
+   * still costs O(window) element moves.
+   * @param {Array<number|null>} values - Series (nulls only at the start)
+   * @param {number} window - Lookback
+   * @returns {Array<{mean: number|null, std: number|null}>} mean holds the median
+   */
+  calculateRobustStats(values, window) {
+    const sorted = []; // Current window, ascending
+    const lowerBound = (target) => {
+      let lo = 0;
+      let hi = sorted.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < target) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    };
+    // k-th smallest |x - center|: the k values closest to the center are a
+    // contiguous run of the sorted window, found by binary search
+    const kthDistance = (center, k) => {
+      let lo = 0;
+      let hi = sorted.length - k;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (center - sorted[mid] > sorted[mid + k] - center) lo = mid + 1;
+        else hi = mid;
+      }
+      return Math.max(center - sorted[lo], sorted[lo + k - 1] - center);
+    };
+
+    return values.map((value, index) => {
+      if (value === null) {
+        sorted.length = 0;
+        return { mean: null, std: null };
+      }
+
+      sorted.splice(lowerBound(value), 0, value);
+      if (sorted.length > window) {
+        sorted.splice(lowerBound(values[index - window]), 1);
+      }
+      if (sorted.length < window) {
+        return { mean: null, std: null };
+      }
+
+      const mid = window >> 1;
+      const center =
+        window % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+      const mad =
+        window % 2
+          ? kthDistance(center, mid + 1)
+          : (kthDistance(center, mid) + kthDistance(center, mid + 1)) / 2;
+      return { mean: center, std: 1.4826 * mad };
+    });
+  }
+
+  /**
+   * Price at which a row's Z-Score would equal z (inverse of calculateZScore)
+   * @param {Array} rows - Rows from calculateZScore
+   * @param {number} index - Row index
+   * @param {number} z - Z-Score level
+   * @param {Object} settings - Z-Score definition used for the rows
+   * @returns {number|null} Price, or null while the Z-Score is not warm
+   */
+  zscoreToPrice(rows, index, z, settings = {}) {
+    const { source } = { ...DEFAULT_ZSCORE, ...settings };
+    const item = rows[index];
+    if (item.mean === null) {
+      return null;
+    }
+
+    const level = item.mean + z * item.std;
+    if (source === "log") {
+      return Math.exp(level);
+    }
+    if (source === "returns") {
+      return rows[index - 1].close * Math.exp(level);
+    }
+    return level;
+  }
+
+  /**
+   * Turn indicator rows into positions with the strategy state machine
+   * @param {Array} data - Rows from the strategy's indicators
+   * @param {StrategyStateMachine} strategy - Strategy to run, starting flat
+   * @returns {Array} Rows with pos
+   */
+  generateSignals(data, strategy) {
+    strategy.reset();
+    return data.map((item) => ({ ...item, pos: strategy.step(item) }));
+  }
+
+  /**
+   * Calculate the Average True Range (simple average of true ranges)
+   * Candles without high/low fall back to the close.
+   * @param {Array} data - Candles sorted by time
+   * @param {number} period - Number of candles to average
+   * @returns {Array<number|null>} ATR per candle, null until the period is filled
+   */
+  calculateAtr(data, period) {
+    const atr = new Array(data.length).fill(null);
+    let sum = 0;
+
+    const trueRanges = data.map((item, index) => {
+      const high = item.high ?? item.close;
+      const low = item.low ?? item.close;
+      if (index === 0) {
+        return high - low;
+      }
+      const prevClose = data[index - 1].close;
+      return Math.max(
+        high - low,
+        Math.abs(high - prevClose),
+        Math.abs(low - prevClose)
+      );
+    });
+
+    for (let i = 0; i < data.length; i++) {
+      sum += trueRanges[i];
+      if (i >= period) {
+        sum -= trueRanges[i - period];
+      }
+      if (i >= period - 1) {
+        atr[i] = sum / period;
+      }
+    }
+
+    return atr;
+  }
+
+  /**
+   * Convert an exit rule distance into a price distance from the entry
+   * @returns {number} Price distance, Infinity when the rule is off or not yet measurable
+   */
+  getExitDistance(value, unit, item) {
+    if (!value || value <= 0) {
+      return Infinity;
+    }
+    if (unit === "atr") {
+      return item.atr ? value * item.atr : Infinity;
+    }
+    if (unit === "sigma") {
+      return item.priceStd ? value * item.priceStd : Infinity;
+    }
+    return (item.close * value) / 100;
+  }
+
+  /**
+   * Apply stop-loss, take-profit and trailing-stop rules to signal positions
+   * Positions open at the close of the signal bar. Every later bar's high/low
+   * is checked against the exit levels; a bar that opens beyond a level exits
+   * at the open, and when a stop and a target are both inside one bar the stop
+   * is assumed to fill first. After a rule exit the strategy stays flat until
+   * the signal position changes.
+   * @param {Array} df - Rows with pos (signal position), OHLC, std and atr
+   * @param {Object} risk - Exit rules (see DEFAULT_RISK_RULES)
+   * @returns {Array} Rows with pos (position held after the close),
+   *   signalPos, exitPrice and exitReason ("signal", "stop_loss",
+   *   "take_profit" or "trailing_stop"; null when nothing was closed)
+   */
+  applyRiskRules(df, risk) {
+    const state = this.createRiskState();
+    return df.map((item, index) => ({
+      ...item,
+      signalPos: item.pos,
+      ...this.stepRiskRules(
+        state,
+        item,
+        index > 0 ? df[index - 1].close : null,
+        risk
+      ),
+    }));
+  }
+
+  /**
+   * State carried from bar to bar by stepRiskRules, starting flat
+   */
+  createRiskState() {
+    return {
+      held: 0, // Position carried into the current bar
+      entryPrice: null,
+      extreme: null, // Best price since entry, for the trailing stop
+      distances: null,
+      lockedSide: 0, // Side closed by a rule, blocked until the signal changes
+    };
+  }
+
+  /**
+   * Apply the exit rules to one bar (see applyRiskRules)
+   * Shared by the backtest and the live monitor, which keeps the state
+   * between checks.
+   * @param {Object} state - From createRiskState; updated in place
+   * @param {Object} item - Row with pos (signal position), OHLC, std and atr
+   * @param {number|null} prevClose - Previous close, null on the first bar
+   * @param {Object} risk - Exit rules (see DEFAULT_RISK_RULES)
+   * @returns {{pos: number, exitPrice: number|null, exitReason: string|null}}
+   */
+  stepRiskRules(state, item, prevClose, risk) {
+    const active =
+      risk.stopLoss > 0 || risk.takeProfit > 0 || risk.trailingStop > 0;
+    const { held, entryPrice, distances } = state;
+    let exitPrice = null;
+    let exitReason = null;
+
+    if (held !== 0 && active && prevClose !== null) {
+      const open = item.open ?? prevClose;
+      const high = item.high ?? item.close;
+      const low = item.low ?? item.close;
+
+      // Levels in "long" terms: held × price is higher when in profit
+      const fixedStop = held * entryPrice - distances.stopLoss;
+      const trailingStop = held * state.extreme - distances.trailingStop;
+      const stopLevel = Math.max(fixedStop, trailingStop);
+      const stopReason =
+        trailingStop > fixedStop ? "trailing_stop" : "stop_loss";
+      const takeLevel = held * entryPrice + distances.takeProfit;
+      const worst = held === 1 ? low : -high;
+      const best = held === 1 ? high : -low;
+
+      if (held * open <= stopLevel) {
+        exitPrice = open;
+        exitReason = stopReason;
+      } else if (held * open >= takeLevel) {
+        exitPrice = open;
+        exitReason = "take_profit";
+      } else if (worst <= stopLevel) {
+        exitPrice = held * stopLevel;
+        exitReason = stopReason;
+      } else if (best >= takeLevel) {
+        exitPrice = held * takeLevel;
+        exitReason = "take_profit";
+      } else {
+        state.extreme =
+          held === 1
+            ? Math.max(state.extreme, high)
+            : Math.min(state.extreme, low);
+      }
+
+      if (exitReason) {
+        state.lockedSide = held;
+      }
+    }
+
+    let pos = item.pos;
+    if (state.lockedSide !== 0) {
+      if (pos === state.lockedSide) {
+        pos = 0;
+      } else {
+        state.lockedSide = 0;
+      }
+    }
+
+    const openAfterExit = exitReason ? 0 : held;
+    if (!exitReason && held !== 0 && pos !== held) {
+      exitReason = "signal";
+    }
+    if (pos !== 0 && pos !== openAfterExit) {
+      state.entryPrice = item.close;
+      state.extreme = item.close;
+      state.distances = {
+        stopLoss: this.getExitDistance(risk.stopLoss, risk.unit, item),
+        takeProfit: this.getExitDistance(risk.takeProfit, risk.unit, item),
+        trailingStop: this.getExitDistance(risk.trailingStop, risk.unit, item),
+      };
+    }
+    state.held = pos;
+
+    return { pos, exitPrice, exitReason };
+  }
+
+  /**
+   * Size a position opening on this row, as a multiple of equity
+   * Volatility targeting sizes so that a 1σ price move (the Z-Score window's
+   * rolling σ) changes equity by volTarget. Z-Score scaling grows the base
+   * fraction with |Z| relative to the threshold on the same side of zero
+   * (entry above, exit below), i.e. the one that triggered the entry.
+   * @param {Object} item - Row with pos, close, priceStd and zscore
+   * @param {Object} sizing - Sizing settings (see DEFAULT_SIZING)
+   * @returns {number} Position size before the leverage cap
+   */
+  getPositionSize(item, sizing, entryThreshold, exitThreshold) {
+    if (sizing.method === "vol_target") {
+      return item.priceStd && item.close
+        ? sizing.volTarget / (item.priceStd / item.close)
+        : 0;
+    }
+    if (sizing.method === "zscore") {
+      const threshold =
+        item.zscore >= 0 ? entryThreshold : Math.abs(exitThreshold);
+      return item.zscore !== null && threshold > 0
+        ? (sizing.fraction * Math.abs(item.zscore)) / threshold
+        : sizing.fraction;
+    }
+    return sizing.fraction;
+  }
+
+  /**
+   * Fix a size for each position when it opens
+   * The size is a multiple of current equity and is kept for the life of the
+   * position, so the backtest rebalances to it every bar (see backtest).
+   * @param {Array} df - Rows with pos (after exit rules)
+   * @param {Object} sizing - Sizing settings (see DEFAULT_SIZING)
+   * @returns {Array} Rows with size (multiple of equity) and exposure (pos × size)
+   */
+  applyPositionSizing(df, sizing, entryThreshold, exitThreshold) {
+    let size = 0;
+
+    return df.map((item, index) => {
+      const prevPos = index === 0 ? 0 : df[index - 1].pos;
+      if (item.pos === 0) {
+        size = 0;
+      } else if (item.pos !== prevPos) {
+        size = Math.min(
+          this.getPositionSize(item, sizing, entryThreshold, exitThreshold),
+          sizing.maxLeverage
+        );
+      }
+      return { ...item, size, exposure: item.pos * size };
+    });
+  }
+
+  /**
+   * Calculate the fee and slippage charged on a row's trades
+   * @param {Object} item - Backtest row with turnover, close and std
+   * @param {Object} costs - Trading cost settings (see DEFAULT_TRADING_COSTS)
+   * @returns {{fee: number, slippage: number}} Costs as fractions of equity
+   */
+  calculateTradingCosts(item, costs) {
+    if (!costs.enabled || !item.turnover) {
+      return { fee: 0, slippage: 0 };
+    }
+
+    const feeRate =
+      costs.orderType === "maker" ? costs.makerFee : costs.takerFee;
+
+    let slippageRate = 0;
+    if (costs.slippageModel === "fixed") {
+      slippageRate = costs.slippageBps / 10000;
+    } else if (costs.slippageModel === "volatility") {
+      // Scale slippage with the rolling price dispersion at the time of the trade
+      slippageRate =
+        item.priceStd !== null && item.close
+          ? (costs.slippageVolFactor * item.priceStd) / item.close
+          : 0;
+    }
+
+    return {
+      fee: item.turnover * feeRate,
+      slippage: item.turnover * slippageRate,
+    };
+  }
+
+  /**
+   * Attribute funding payments to the bars they settle in
+   * A funding event at time t is charged on the position held through the
+   * bar containing t (exposurePrev). Longs pay positive rates, shorts receive them.
+   * @param {Array} df - Backtest rows with time and exposurePrev, sorted by time
+   * @param {Array<{time: number, rate: number}>} fundingRates - Sorted funding events
+   * @returns {Array<number>} Funding PnL per row
+   */
+  calculateFundingPnl(df, fundingRates) {
+    const fundingPnl = new Array(df.length).fill(0);
+    if (!fundingRates || fundingRates.length === 0) {
+      return fundingPnl;
+    }
+
+    let j = 0;
+    for (let i = 0; i < df.length; i++) {
+      const barEnd = i + 1 < df.length ? df[i + 1].time : Infinity;
+      while (j < fundingRates.length && fundingRates[j].time < df[i].time) {
+        j++; // Funding before the first bar is ignored
+      }
+      while (j < fundingRates.length && fundingRates[j].time < barEnd) {
+        fundingPnl[i] -= df[i].exposurePrev * fundingRates[j].rate;
+        j++;
+      }
+    }
+
+    return fundingPnl;
+  }
+
+  /**
+   * Run a backtest over price data
+   * @param {Object} options - Optional settings
+   * @param {Object} options.costs - Trading cost settings (see DEFAULT_TRADING_COSTS)
+   * @param {Array} options.fundingRates - Funding events from fetchFundingHistory
+   * @param {Object} options.risk - Stop-loss / take-profit / trailing-stop rules (see DEFAULT_RISK_RULES)
+   * @param {Object} options.sizing - Position sizing and starting capital (see DEFAULT_SIZING)
+   * @param {Object} options.strategyParams - Parameters of the strategy plug-in
+   * @param {Object} options.zscore - Z-Score definition (see DEFAULT_ZSCORE)
+   * @param {Function} options.onProgress - Called with (completedBars, totalBars)
+   */
+  backtest(
+    data,
+    window,
+    entryThreshold,
+    exitThreshold,
+    logicType,
+    side,
+    options = {}
+  ) {
+    const costs = { ...DEFAULT_TRADING_COSTS, ...options.costs };
+    const risk = { ...DEFAULT_RISK_RULES, ...options.risk };
+    const sizing = { ...DEFAULT_SIZING, ...options.sizing };
+
+    const strategy = new StrategyStateMachine(
+      logicType,
+      side,
+      entryThreshold,
+      exitThreshold,
+      options.strategyParams,
+      options.zscore
+    );
+
+    let df = strategy.computeIndicators(this, data, window);
+    const atr = this.calculateAtr(df, risk.atrPeriod);
+    df = df.map((item, index) => ({
+      ...item,
+      atr: atr[index],
+      signal: item.zscore,
+    }));
+    df = this.generateSignals(df, strategy);
+    df = this.applyRiskRules(df, risk);
+    df = this.applyPositionSizing(df, sizing, entryThreshold, exitThreshold);
+
+    // The sized rows are fresh objects, so the remaining columns are added
+    // in place rather than copying every row once more per column
+    df.forEach((item, index) => {
+      const prev = index === 0 ? null : df[index - 1];
+      // Positions closed by a stop or target earn up to the exit price
+      const exitPrice = item.exitPrice ?? item.close;
+      item.priceChange = prev ? (exitPrice - prev.close) / prev.close : 0;
+      item.posPrev = prev ? prev.pos : 0;
+      item.exposurePrev = prev ? prev.exposure : 0;
+      // trades counts position changes
+      item.trades = Math.abs(item.posPrev - item.pos);
+    });
+
+    const fundingPnl = this.calculateFundingPnl(df, options.fundingRates);
+    // Report about 100 times per run rather than once per bar
+    const progressStep = Math.max(1, Math.ceil(df.length / 100));
+
+    df.forEach((item, index) => {
+      const grossPnl = item.exposurePrev * item.priceChange;
+      item.grossPnl = grossPnl;
+      item.fundingPnl = fundingPnl[index];
+
+      // Exposure is a constant multiple of equity, as in the classic ±1 unit
+      // backtest, so a held position is rebalanced at every close: the
+      // turnover is the traded notional / equity from the exposure the bar's
+      // move left (drifted) to the target exposure
+      const growth = 1 + grossPnl + fundingPnl[index];
+      const drifted =
+        growth > 0 ? (item.exposurePrev * (1 + item.priceChange)) / growth : 0;
+      item.turnover = Math.abs(item.exposure - drifted);
+
+      const { fee, slippage } = this.calculateTradingCosts(item, costs);
+      item.fee = fee;
+      item.slippage = slippage;
+      // Net of trading costs and funding
+      item.pnl = grossPnl - fee - slippage + fundingPnl[index];
+
+      const completed = index + 1;
+      if (
+        options.onProgress &&
+        (completed % progressStep === 0 || completed === df.length)
+      ) {
+        options.onProgress(completed, df.length);
+      }
+    });
+
+    return this.calculateEquity(df, sizing.initialCapital);
+  }
+
+  /**
+   * Accumulate per-bar PnL into cumulative PnL and drawdown columns
+   * Also used to re-base rows stitched together from several backtests.
+   * Equity compounds the per-bar returns from the starting capital and stays
+   * at zero once the account is wiped out. drawdown is additive, like
+   * cumulativePnl; equityDrawdown is the fall of equity from its peak as a
+   * fraction of that peak.
+   * @param {Array} df - Rows with grossPnl and pnl
+   * @param {number} initialCapital - Starting equity in USDT
+   * @returns {Array} Rows with cumulativeGrossPnl, cumulativePnl, equity,
+   *   drawdown and equityDrawdown
+   */
+  calculateEquity(df, initialCapital = DEFAULT_SIZING.initialCapital) {
+    let cumulativeGrossPnl = 0;
+    let cumulativePnl = 0;
+    let maxCumulativePnl = 0;
+    let equity = initialCapital;
+    let peakEquity = initialCapital;
+
+    return df.map((item) => {
+      cumulativeGrossPnl += item.grossPnl;
+      cumulativePnl += item.pnl;
+      maxCumulativePnl = Math.max(maxCumulativePnl, cumulativePnl);
+      equity = Math.max(0, equity * (1 + item.pnl));
+      peakEquity = Math.max(peakEquity, equity);
+      const drawdown = cumulativePnl - maxCumulativePnl;
+      const equityDrawdown = peakEquity > 0 ? equity / peakEquity - 1 : 0;
+      return {
+        ...item,
+        cumulativeGrossPnl,
+        cumulativePnl,
+        equity,
+        drawdown,
+        equityDrawdown,
+      };
+    });
+  }
+}
+
+// Metrics Calculator
+
+class MetricsCalculator {
+  constructor(interval = DEFAULT_INTERVAL) {
+    this.setTimeframe(interval);
+    this.setTrials(1);
+  }
+
+  /**
+   * Set the candle interval used to annualize returns
+   * @param {string} interval - Bybit interval code, e.g. "60", "240" or "D"
+   */
+  setTimeframe(interval) {
+    this.interval = interval;
+    // Candles per year; crypto trades 24/7
+    this.annualizer = (365 * 24 * 3600 * 1000) / getIntervalMs(interval);
+  }
+
+  /**
+   * Set how many parameter sets were tried before this one
+   * The deflated Sharpe ratio raises its bar as this grows.
+   * @param {number} trials - Number of backtests behind the result, at least 1
+   */
+  setTrials(trials) {
+    this.trials = Math.max(1, Math.floor(trials) || 1);
+  }
+
+  /**
+   * Build round-trip trades from position changes
+   * A trade opens at the close of the bar where the position changes and
+   * closes at that bar's exit price (stop/target) or close. Its return is the
+   * equity return of the held bars less its entry, rebalancing and exit costs.
+   * MAE/MFE are the worst/best unlevered price moves against the entry.
+   * A position still open on the last bar is included with exitReason "open".
+   * @param {Array} df - Backtest rows
+   * @returns {Array<Object>} Trades sorted by entry time
+   */
+  buildTradeLedger(df) {
+    const trades = [];
+    // Share of a row's fee + slippage caused by trading this much exposure;
+    // an entry trades the row's new exposure, an exit or rebalance the rest
+    const costShare = (row, traded) =>
+      row.turnover > 0
+        ? (((row.fee || 0) + (row.slippage || 0)) * traded) / row.turnover
+        : 0;
+    let current = null;
+
+    for (let i = 0; i < df.length; i++) {
+      const row = df[i];
+
+      if (current) {
+        const hasFill = row.exitPrice !== null && row.exitPrice !== undefined;
+        const exitPrice = hasFill ? row.exitPrice : row.close;
+        const closed = row.pos !== current.direction;
+        // On a stop/target bar only the open and the fill are known prices
+        const high = hasFill
+          ? Math.max(row.open ?? exitPrice, exitPrice)
+          : (row.high ?? row.close);
+        const low = hasFill
+          ? Math.min(row.open ?? exitPrice, exitPrice)
+          : (row.low ?? row.close);
+        const favorable = current.direction === 1 ? high : low;
+        const adverse = current.direction === 1 ? low : high;
+
+        current.mfe = Math.max(
+          current.mfe,
+          current.direction * (favorable / current.entryPrice - 1)
+        );
+        current.mae = Math.min(
+          current.mae,
+          current.direction * (adverse / current.entryPrice - 1)
+        );
+        current.return += (row.grossPnl || 0) + (row.fundingPnl || 0);
+
+        if (closed) {
+          current.return -= costShare(
+            row,
+            row.turnover - Math.abs(row.exposure ?? 0)
+          );
+          trades.push(this.closeTrade(current, row, exitPrice, i));
+          current = null;
+        } else {
+          current.return -= costShare(row, row.turnover);
+        }
+      }
+
+      const opened = i === 0 || row.pos !== df[i - 1].pos;
+      if (!current && row.pos !== 0 && opened) {
+        current = {
+          direction: row.pos,
+          entryIndex: i,
+          entryTime: row.time,
+          entryPrice: row.close,
+          size: row.size ?? 1,
+          return: -costShare(row, Math.abs(row.exposure ?? 1)),
+          mae: 0,
+          mfe: 0,
+        };
+      }
+    }
+
+    if (current) {
+      const last = df[df.length - 1];
+      trades.push({
+        ...this.closeTrade(current, last, last.close, df.length - 1),
+        exitReason: "open",
+      });
+    }
+
+    return trades;
+  }
+
+  closeTrade(trade, row, exitPrice, exitIndex) {
+    return {
+      side: trade.direction === 1 ? "Long" : "Short",
+      entryTime: trade.entryTime,
+      exitTime: row.time,
+      entryPrice: trade.entryPrice,
+      exitPrice,
+      size: trade.size,
+      bars: exitIndex - trade.entryIndex,
+      priceChange: trade.direction * (exitPrice / trade.entryPrice - 1),
+      return: trade.return,
+      mae: trade.mae,
+      mfe: trade.mfe,
+      exitReason: row.exitReason || "signal",
+    };
+  }
+
+  /**
+   * Win rate, average win/loss, profit factor and expectancy of closed trades
+   * @param {Array<Object>} ledger - Trades from buildTradeLedger
+   * @returns {Object} Trade statistics (returns as fractions of equity)
+   */
+  calculateTradeStats(ledger) {
+    const closed = ledger.filter((trade) => trade.exitReason !== "open");
+    const wins = closed.filter((trade) => trade.return > 0);
+    const losses = closed.filter((trade) => trade.return <= 0);
+    const sum = (trades) => trades.reduce((total, t) => total + t.return, 0);
+    const grossWin = sum(wins);
+    const grossLoss = Math.abs(sum(losses));
+
+    return {
+      closedTrades: closed.length,
+      winRate: closed.length > 0 ? (wins.length / closed.length) * 100 : NaN,
+      avgWin: wins.length > 0 ? grossWin / wins.length : NaN,
+      avgLoss: losses.length > 0 ? -grossLoss / losses.length : NaN,
+      profitFactor:
+        grossLoss > 0 ? grossWin / grossLoss : grossWin > 0 ? Infinity : NaN,
+      expectancy: closed.length > 0 ? sum(closed) / closed.length : NaN,
+    };
+  }
+
+  /**
+   * Longest time under water and the recovery time of the deepest drawdown
+   * @param {Array} df - Rows with time and cumulativePnl
+   * @returns {{maxDuration: number, recoveryTime: number}} In days; recoveryTime is NaN if never recovered
+   */
+  calculateDrawdownDurations(df) {
+    const dayMs = 24 * 3600 * 1000;
+    let peak = 0;
+    let peakTime = df[0].time;
+    let maxDuration = 0;
+    let maxDrawdown = 0;
+    let troughIndex = -1;
+    let troughPeak = 0;
+
+    // A drawdown lasts from its peak until equity is back at that peak
+    df.forEach((item, index) => {
+      const underwater = item.cumulativePnl < peak;
+      if (underwater || (index > 0 && df[index - 1].cumulativePnl < peak)) {
+        maxDuration = Math.max(maxDuration, item.time - peakTime);
+      }
+      if (!underwater) {
+        peak = item.cumulativePnl;
+        peakTime = item.time;
+        return;
+      }
+      if (item.cumulativePnl - peak < maxDrawdown) {
+        maxDrawdown = item.cumulativePnl - peak;
+        troughIndex = index;
+        troughPeak = peak;
+      }
+    });
+
+    let recoveryTime = troughIndex === -1 ? 0 : NaN;
+    if (troughIndex !== -1) {
+      const recovery = df
+        .slice(troughIndex + 1)
+        .find((item) => item.cumulativePnl >= troughPeak);
+      if (recovery) {
+        recoveryTime = (recovery.time - df[troughIndex].time) / dayMs;
+      }
+    }
+
+    return { maxDuration: maxDuration / dayMs, recoveryTime };
+  }
+
+  /**
+   * Skewness and excess kurtosis of a return series
+   */
+  calculateMoments(values) {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    for (const value of values) {
+      const d = value - mean;
+      m2 += d * d;
+      m3 += d * d * d;
+      m4 += d * d * d * d;
+    }
+    m2 /= n;
+    m3 /= n;
+    m4 /= n;
+
+    return {
+      skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : NaN,
+      kurtosis: m2 > 0 ? m4 / (m2 * m2) - 3 : NaN,
+    };
+  }
+
+  /**
+   * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+   */
+  normalCdf(x) {
+    const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+    const poly =
+      t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp((-x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Inverse of the standard normal distribution (Acklam's approximation)
+   * @param {number} p - Probability in (0, 1)
+   */
+  normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [
+      -39.69683028665376, 220.9460984245205, -275.9285104469687,
+      138.357751867269, -30.66479806614716, 2.506628277459239,
+    ];
+    const b = [
+      -54.47609879822406, 161.5858368580409, -155.6989798598866,
+      66.80131188771972, -13.28068155288572,
+    ];
+    const c = [
+      -0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+      -2.549732539343734, 4.374664141464968, 2.938163982698783,
+    ];
+    const d = [
+      0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+      3.754408661907416,
+    ];
+    const tail = (q) =>
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+        q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+    );
+  }
+
+  /**
+   * Probabilistic and deflated Sharpe ratio, and minimum track-record length
+   * (Bailey & López de Prado). All use the per-bar Sharpe ratio and correct
+   * its standard error for skewness and fat tails. The deflated ratio
+   * benchmarks against the Sharpe ratio the best of this.trials zero-skill
+   * trials would be expected to reach by luck alone.
+   * @param {number} sharpe - Per-bar (not annualized) Sharpe ratio
+   * @param {number} n - Number of bars
+   * @param {number} skewness - Skewness of bar returns
+   * @param {number} kurtosis - Excess kurtosis of bar returns
+   * @returns {{probabilisticSharpe: number, deflatedSharpe: number, minTrackRecord: number}}
+   *   Probabilities in [0, 1]; minimum track record in bars (NaN when SR ≤ 0)
+   */
+  calculateSharpeSignificance(sharpe, n, skewness, kurtosis) {
+    if (isNaN(sharpe) || n < 2 || isNaN(skewness) || isNaN(kurtosis)) {
+      return {
+        probabilisticSharpe: NaN,
+        deflatedSharpe: NaN,
+        minTrackRecord: NaN,
+      };
+    }
+
+    const sharpeVariance = Math.max(
+      1e-12,
+      1 - skewness * sharpe + ((kurtosis + 2) / 4) * sharpe * sharpe
+    );
+    const probability = (benchmark) =>
+      this.normalCdf(
+        ((sharpe - benchmark) * Math.sqrt(n - 1)) / Math.sqrt(sharpeVariance)
+      );
+
+    // Expected maximum of this.trials Sharpe estimates with no true skill
+    const eulerGamma = 0.5772156649;
+    const expectedMax =
+      this.trials > 1
+        ? Math.sqrt(sharpeVariance / (n - 1)) *
+          ((1 - eulerGamma) * this.normalQuantile(1 - 1 / this.trials) +
+            eulerGamma * this.normalQuantile(1 - 1 / (this.trials * Math.E)))
+        : 0;
+
+    return {
+      probabilisticSharpe: probability(0),
+      deflatedSharpe: probability(expectedMax),
+      minTrackRecord:
+        sharpe > 0
+          ? 1 + sharpeVariance * Math.pow(this.normalQuantile(0.95) / sharpe, 2)
+          : NaN,
+    };
+  }
+
+  /**
+   * Ratio of the 95th percentile return to the absolute 5th percentile return
+   * Above 1 means the right tail (gains) is fatter than the left tail (losses).
+   */
+  calculateTailRatio(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = (p) =>
+      sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const left = Math.abs(percentile(0.05));
+    return left > 0 ? Math.abs(percentile(0.95)) / left : NaN;
+  }
+
+  /**
+   * Compare per-bar strategy returns with holding the asset over the same bars
+   * Alpha (annualized) and beta come from regressing strategy returns on
+   * asset returns; the information ratio is the annualized mean / std of the
+   * excess return. The risk-free rate is taken as zero.
+   * @param {Array} df - Rows with close and pnl
+   * @returns {{buyHoldReturn: number, alpha: number, beta: number, informationRatio: number}}
+   */
+  calculateBenchmark(df) {
+    const strategy = df.map((item) => item.pnl);
+    const benchmark = df.map((item, index) =>
+      index === 0 ? 0 : item.close / df[index - 1].close - 1
+    );
+    const n = df.length;
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    const meanStrategy = mean(strategy);
+    const meanBenchmark = mean(benchmark);
+
+    let covariance = 0;
+    let varianceBenchmark = 0;
+    for (let i = 0; i < n; i++) {
+      covariance +=
+        (strategy[i] - meanStrategy) * (benchmark[i] - meanBenchmark);
+      varianceBenchmark += Math.pow(benchmark[i] - meanBenchmark, 2);
+    }
+    const beta = varianceBenchmark > 0 ? covariance / varianceBenchmark : NaN;
+    const alpha = (meanStrategy - beta * meanBenchmark) * this.annualizer;
+
+    const excess = strategy.map((value, i) => value - benchmark[i]);
+    const meanExcess = mean(excess);
+    const trackingError = Math.sqrt(
+      excess.reduce((sum, value) => sum + Math.pow(value - meanExcess, 2), 0) /
+        n
+    );
+
+    return {
+      buyHoldReturn: df[n - 1].close / df[0].close - 1,
+      alpha,
+      beta,
+      informationRatio:
+        trackingError > 0
+          ? (meanExcess / trackingError) * Math.sqrt(this.annualizer)
+          : NaN,
+    };
+  }
+
+  calculateAllMetrics(df, window) {
+    const validDf = df.filter(
+      (item) => item.pnl !== null && !isNaN(item.pnl) && item.pnl !== undefined
+    );
+
+    if (validDf.length === 0) {
+      return this.emptyMetrics();
+    }
+
+    const pnl = validDf.map((item) => item.pnl);
+    const cumulativePnl = validDf.map((item) => item.cumulativePnl);
+    const drawdown = validDf.map((item) => item.drawdown);
+    const trades = validDf.reduce((sum, item) => sum + item.trades, 0);
+    const totalFees = validDf.reduce((sum, item) => sum + (item.fee || 0), 0);
+    const totalSlippage = validDf.reduce(
+      (sum, item) => sum + (item.slippage || 0),
+      0
+    );
+    const totalFunding = validDf.reduce(
+      (sum, item) => sum + (item.fundingPnl || 0),
+      0
+    );
+
+    const meanPnl = pnl.reduce((a, b) => a + b, 0) / pnl.length;
+    const variance =
+      pnl.reduce((sum, val) => sum + Math.pow(val - meanPnl, 2), 0) /
+      pnl.length;
+    const stdPnl = Math.sqrt(variance);
+    const sharpeRatio =
+      pnl.length > 1 && stdPnl !== 0
+        ? (meanPnl / stdPnl) * Math.sqrt(this.annualizer)
+        : NaN;
+    // Downside deviation only penalizes negative returns
+    const downsideDeviation = Math.sqrt(
+      pnl.reduce((sum, val) => sum + Math.pow(Math.min(val, 0), 2), 0) /
+        pnl.length
+    );
+    const sortinoRatio =
+      pnl.length > 1 && downsideDeviation !== 0
+        ? (meanPnl / downsideDeviation) * Math.sqrt(this.annualizer)
+        : NaN;
+
+    const maxDrawdown = Math.min(...drawdown);
+    const annualizedReturn = pnl.length > 0 ? meanPnl * this.annualizer : 0.0;
+    const calmarRatio =
+      maxDrawdown !== 0 ? annualizedReturn / Math.abs(maxDrawdown) : NaN;
+    const totalReturn = cumulativePnl[cumulativePnl.length - 1];
+    const grossTotalReturn = validDf.reduce(
+      (sum, item) => sum + (item.grossPnl ?? item.pnl),
+      0
+    );
+    const compoundedReturn = pnl.reduce(
+      (growth, value) => Math.max(0, growth * (1 + value)),
+      1
+    );
+    const finalEquity = validDf[validDf.length - 1].equity;
+    const maxEquityDrawdown = Math.min(
+      ...validDf.map((item) => item.equityDrawdown ?? 0)
+    );
+    const numTrades = Math.floor(trades);
+    const effectivePeriods = validDf.length - window;
+    const tradeFrequency =
+      effectivePeriods > 0 ? (numTrades / effectivePeriods) * 100 : 0;
+    const tradeStats = this.calculateTradeStats(this.buildTradeLedger(df));
+    const round = (value) =>
+      isFinite(value) ? Number(value.toFixed(4)) : value;
+
+    const { maxDuration, recoveryTime } =
+      this.calculateDrawdownDurations(validDf);
+    const exposure =
+      (validDf.filter((item) => item.posPrev !== 0).length / validDf.length) *
+      100;
+    const { skewness, kurtosis } = this.calculateMoments(pnl);
+    const tailRatio = this.calculateTailRatio(pnl);
+    const benchmark = this.calculateBenchmark(validDf);
+    const significance = this.calculateSharpeSignificance(
+      stdPnl !== 0 ? meanPnl / stdPnl : NaN,
+      pnl.length,
+      skewness,
+      kurtosis
+    );
+    const barsPerDay = (24 * 3600 * 1000) / getIntervalMs(this.interval);
+
+    const startDate = new Date(validDf[0].time);
+    const endDate = new Date(validDf[validDf.length - 1].time);
+    const periodDays = Math.floor(
+      (endDate - startDate) / (1000 * 60 * 60 * 24)
+    );
+
+    return {
+      "Sharpe Ratio": isNaN(sharpeRatio) ? NaN : Number(sharpeRatio.toFixed(4)),
+      "Sortino Ratio": round(sortinoRatio),
+      "Calmar Ratio": isNaN(calmarRatio) ? NaN : Number(calmarRatio.toFixed(4)),
+      "Max Drawdown": Number(maxDrawdown.toFixed(4)),
+      "Max Drawdown Duration (days)": Number(maxDuration.toFixed(1)),
+      "Recovery Time (days)": isNaN(recoveryTime)
+        ? NaN
+        : Number(recoveryTime.toFixed(1)),
+      "Annualized Return": Number(annualizedReturn.toFixed(4)),
+      "Total Return": Number(totalReturn.toFixed(4)),
+      "Gross Total Return": Number(grossTotalReturn.toFixed(4)),
+      "Total Fees": Number(totalFees.toFixed(4)),
+      "Total Slippage": Number(totalSlippage.toFixed(4)),
+      "Funding PnL": Number(totalFunding.toFixed(4)),
+      "Compounded Return": Number((compoundedReturn - 1).toFixed(4)),
+      "Final Equity":
+        finalEquity !== undefined ? Number(finalEquity.toFixed(2)) : NaN,
+      "Max Equity Drawdown": Number(maxEquityDrawdown.toFixed(4)),
+      "Number of Trades": numTrades,
+      "Trade Frequency %": Number(tradeFrequency.toFixed(4)),
+      "Closed Trades": tradeStats.closedTrades,
+      "Win Rate %": round(tradeStats.winRate),
+      "Average Win": round(tradeStats.avgWin),
+      "Average Loss": round(tradeStats.avgLoss),
+      "Profit Factor": round(tradeStats.profitFactor),
+      "Expectancy per Trade": round(tradeStats.expectancy),
+      "Exposure %": Number(exposure.toFixed(2)),
+      Skewness: round(skewness),
+      "Excess Kurtosis": round(kurtosis),
+      "Tail Ratio": round(tailRatio),
+      "Buy & Hold Return": round(benchmark.buyHoldReturn),
+      Alpha: round(benchmark.alpha),
+      Beta: round(benchmark.beta),
+      "Information Ratio": round(benchmark.informationRatio),
+      "Probabilistic Sharpe %": round(significance.probabilisticSharpe * 100),
+      "Deflated Sharpe %": round(significance.deflatedSharpe * 100),
+      Trials: this.trials,
+      "Min Track Record (days)": round(
+        significance.minTrackRecord / barsPerDay
+      ),
+      "Start Date": startDate.toISOString().replace("T", " ").substring(0, 19),
+      "End Date": endDate.toISOString().replace("T", " ").substring(0, 19),
+      "Period (days)": periodDays,
+    };
+  }
+
+  emptyMetrics() {
+    return {
+      "Sharpe Ratio": NaN,
+      "Sortino Ratio": NaN,
+      "Calmar Ratio": NaN,
+      "Max Drawdown": 0.0,
+      "Max Drawdown Duration (days)": 0,
+      "Recovery Time (days)": 0,
+      "Annualized Return": 0.0,
+      "Total Return": 0.0,
+      "Gross Total Return": 0.0,
+      "Total Fees": 0.0,
+      "Total Slippage": 0.0,
+      "Funding PnL": 0.0,
+      "Compounded Return": 0.0,
+      "Final Equity": NaN,
+      "Max Equity Drawdown": 0.0,
+      "Number of Trades": 0,
+      "Trade Frequency %": 0.0,
+      "Closed Trades": 0,
+      "Win Rate %": NaN,
+      "Average Win": NaN,
+      "Average Loss": NaN,
+      "Profit Factor": NaN,
+      "Expectancy per Trade": NaN,
+      "Exposure %": 0.0,
+      Skewness: NaN,
+      "Excess Kurtosis": NaN,
+      "Tail Ratio": NaN,
+      "Buy & Hold Return": NaN,
+      Alpha: NaN,
+      Beta: NaN,
+      "Information Ratio": NaN,
+      "Probabilistic Sharpe %": NaN,
+      "Deflated Sharpe %": NaN,
+      Trials: this.trials,
+      "Min Track Record (days)": NaN,
+      "Start Date": "N/A",
+      "End Date": "N/A",
+      "Period (days)": 0,
+    };
+  }
+}
+
+// Strategy Evaluator 
+
+class StrategyEvaluator {
+  /**
+   * @param {Array<Object>} criteria - { metric, operator, threshold, weight };
+   *   threshold is a number or the name of another metric
+   */
+  constructor(criteria = DEFAULT_EVALUATION_CRITERIA) {
+    this.setCriteria(criteria);
+  }
+
+  setCriteria(criteria) {
+    this.criteria = criteria.map((criterion) => ({ weight: 1, ...criterion }));
+  }
+
+  formatValue(metric, value) {
+    // Metrics that went through JSON carry null for NaN
+    if (value == null || isNaN(value)) return "N/A";
+    if (!isFinite(value)) return value > 0 ? "∞" : "-∞";
+    return value.toFixed(EVALUATION_DECIMALS[metric] ?? 2);
+  }
+
+  /**
+   * Check one criterion against the metrics
+   * @returns {{passed: boolean, reason: string}}
+   */
+  checkCriterion(criterion, metrics) {
+    const { metric, operator, threshold } = criterion;
+    const value = metrics[metric];
+    const { symbol, negated, test } = EVALUATION_OPERATORS[operator];
+
+    let target = threshold;
+    let targetText = String(threshold);
+    if (typeof threshold === "string") {
+      target = metrics[threshold];
+      targetText = `${threshold} (${this.formatValue(threshold, target)})`;
+    }
+
+    // A missing value (null or NaN) fails rather than comparing as 0
+    const passed =
+      value != null &&
+      target != null &&
+      !isNaN(value) &&
+      !isNaN(target) &&
+      test(value, target);
+    const valueText = `${metric} (${this.formatValue(metric, value)})`;
+    return {
+      passed,
+      reason: passed
+        ? `✓ ${valueText} ${symbol} ${targetText}`
+        : `✗ ${valueText} ${negated} ${targetText}`,
+    };
+  }
+
+  /**
+   * Letter grade of a 0-100 score
+   */
+  calculateGrade(score) {
+    if (isNaN(score)) return "N/A";
+    if (score >= 90) return "A";
+    if (score >= 80) return "B";
+    if (score >= 70) return "C";
+    if (score >= 60) return "D";
+    return "F";
+  }
+
+  /**
+   * Evaluate metrics against every criterion
+   * The strategy is recommended only when all criteria pass; the score is
+   * the weighted share of criteria passed.
+   * @param {Object} metrics - Output of MetricsCalculator.calculateAllMetrics
+   * @returns {Array} [isRecommended, reasons, { score, grade }]
+   */
+  evaluate(metrics) {
+    const reasons = [];
+    let passedChecks = 0;
+    let passedWeight = 0;
+    let totalWeight = 0;
+
+    for (const criterion of this.criteria) {
+      const { passed, reason } = this.checkCriterion(criterion, metrics);
+      totalWeight += criterion.weight;
+      if (passed) {
+        passedChecks++;
+        passedWeight += criterion.weight;
+      }
+      reasons.push(reason);
+    }
+
+    const fmt = (value, digits) =>
+      value == null || isNaN(value) ? "N/A" : value.toFixed(digits);
+
+    if (
+      this.criteria.some(
+        (criterion) =>
+          criterion.metric === "Deflated Sharpe %" ||
+          criterion.threshold === "Deflated Sharpe %"
+      )
+    ) {
+      reasons.push(`ℹ Deflated Sharpe allows for ${metrics["Trials"]} trials`);
+    }
+
+    // Sortino is reported unless a criterion already checks it
+    if (
+      metrics["Sortino Ratio"] !== undefined &&
+      !this.criteria.some((criterion) => criterion.metric === "Sortino Ratio")
+    ) {
+      reasons.push(`ℹ Sortino Ratio ${fmt(metrics["Sortino Ratio"], 2)}`);
+    }
+
+    // Buy-and-hold comparison is informational and does not affect the result
+    if (metrics["Buy & Hold Return"] !== undefined) {
+      reasons.push(
+        `ℹ Buy & Hold return ${fmt(metrics["Buy & Hold Return"], 4)}, alpha ${fmt(
+          metrics["Alpha"],
+          4
+        )}, beta ${fmt(metrics["Beta"], 2)}, information ratio ${fmt(
+          metrics["Information Ratio"],
+          2
+        )}`
+      );
+    }
+
+    const score =
+      totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : NaN;
+    const grade = this.calculateGrade(score);
+    const isRecommended = passedChecks === this.criteria.length;
+    return [isRecommended, reasons, { score, grade }];
+  }
+}
+
+// Parameter Optimizer
+
+class ParameterOptimizer {
+  constructor(engine, calculator) {
+    this.engine = engine;
+    this.calculator = calculator;
+  }
+
+  /**
+   * Build an inclusive numeric range, e.g. (1, 2, 0.5) -> [1, 1.5, 2]
+   * @param {number} min - First value
+   * @param {number} max - Last value (included when reachable)
+   * @param {number} step - Increment, must be positive
+   * @returns {Array<number>} Range values
+   */
+  buildRange(min, max, step) {
+    if (isNaN(min) || isNaN(max) || isNaN(step) || step <= 0 || min > max) {
+      return [];
+    }
+
+    // Round to the step's precision to avoid 0.30000000000000004
+    const decimals = (step.toString().split(".")[1] || "").length;
+    const values = [];
+    for (let i = 0; min + i * step <= max + step * 1e-9; i++) {
+      values.push(Number((min + i * step).toFixed(decimals)));
+    }
+    return values;
+  }
+
+  /**
+   * Expand parameter lists into every combination
+   * @param {Object} ranges - { windows, entryThresholds, exitThresholds, logicTypes, sides, strategyParams }
+   * @returns {Array<Object>} Parameter sets using the form's field names
+   */
+  generateGrid(ranges) {
+    const grid = [];
+    for (const logicType of ranges.logicTypes) {
+      for (const side of ranges.sides) {
+        for (const window of ranges.windows) {
+          for (const entryThreshold of ranges.entryThresholds) {
+            for (const exitThreshold of ranges.exitThresholds) {
+              grid.push({
+                logic_type: logicType,
+                side: side,
+                window: window,
+                entry_threshold: entryThreshold,
+                exit_threshold: exitThreshold,
+                strategy_params: ranges.strategyParams?.[logicType] || {},
+              });
+            }
+          }
+        }
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Backtest every parameter set on the same price data
+   * Yields to the event loop between runs so the page stays responsive.
+   * @param {Array} priceData - Price series shared by all runs
+   * @param {Array<Object>} grid - Parameter sets from generateGrid
+   * @param {Object} options - Backtest options (costs, fundingRates)
+   * @param {Function} onProgress - Called with (completed, total)
+   * @returns {Promise<Array<Object>>} Parameter sets with their metrics
+   */
+  async run(priceData, grid, options = {}, onProgress = null) {
+    const results = [];
+
+    for (let i = 0; i < grid.length; i++) {
+      const params = grid[i];
+      const backtestResults = this.engine.backtest(
+        priceData,
+        params.window,
+        params.entry_threshold,
+        params.exit_threshold,
+        params.logic_type,
+        params.side,
+        { ...options, strategyParams: params.strategy_params }
+      );
+      const metrics = this.calculator.calculateAllMetrics(
+        backtestResults,
+        params.window
+      );
+      results.push({ ...params, metrics });
+
+      if (onProgress) onProgress(i + 1, grid.length);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    return results;
+  }
+
+  /**
+   * Reduce results to a window × entry threshold matrix
+   * Each cell holds the best metric value across the remaining parameters.
+   * @param {Array<Object>} results - Results from run()
+   * @param {string} metricKey - Metric name, e.g. "Sharpe Ratio"
+   * @returns {{windows: Array, entryThresholds: Array, cells: Object}}
+   */
+  buildHeatmap(results, metricKey) {
+    const windows = [...new Set(results.map((r) => r.window))].sort(
+      (a, b) => a - b
+    );
+    const entryThresholds = [
+      ...new Set(results.map((r) => r.entry_threshold)),
+    ].sort((a, b) => a - b);
+
+    const cells = {};
+    for (const result of results) {
+      const value = result.metrics[metricKey];
+      if (isNaN(value)) continue;
+      const key = `${result.window}|${result.entry_threshold}`;
+      if (cells[key] === undefined || value > cells[key]) {
+        cells[key] = value;
+      }
+    }
+
+    return { windows, entryThresholds, cells };
+  }
+}
+
+// Walk-Forward Validator
+
+class WalkForwardValidator {
+  constructor(optimizer, engine, calculator) {
+    this.optimizer = optimizer;
+    this.engine = engine;
+    this.calculator = calculator;
+  }
+
+  /**
+   * Split price data into rolling train/test folds by time
+   * Consecutive test slices do not overlap, so their union is a contiguous
+   * out-of-sample period.
+   * @param {Array} priceData - Sorted price series
+   * @param {number} trainMs - Train slice length in milliseconds
+   * @param {number} testMs - Test slice length in milliseconds
+   * @returns {Array<{trainStart: number, trainEnd: number, testEnd: number}>} Index bounds (end exclusive)
+   */
+  createFolds(priceData, trainMs, testMs) {
+    const folds = [];
+    const indexAt = (time) => {
+      const index = priceData.findIndex((item) => item.time >= time);
+      return index === -1 ? priceData.length : index;
+    };
+
+    let trainStartTime = priceData[0].time;
+    const lastTime = priceData[priceData.length - 1].time;
+    while (trainStartTime + trainMs + testMs <= lastTime + 1) {
+      const trainStart = indexAt(trainStartTime);
+      const trainEnd = indexAt(trainStartTime + trainMs);
+      const testEnd = indexAt(trainStartTime + trainMs + testMs);
+      if (testEnd > trainEnd && trainEnd > trainStart) {
+        folds.push({ trainStart, trainEnd, testEnd });
+      }
+      trainStartTime += testMs;
+    }
+
+    return folds;
+  }
+
+  /**
+   * Pick the best parameters on each train slice and evaluate them on the
+   * following test slice
+   * @param {Array} priceData - Sorted price series
+   * @param {Array<Object>} grid - Parameter sets from ParameterOptimizer.generateGrid
+   * @param {Object} settings - { trainMs, testMs, selectionMetric, options }
+   * @param {Function} onProgress - Called with (completedFolds, totalFolds)
+   * @returns {Promise<Object>} Per-fold results, stitched out-of-sample rows and summary metrics
+   */
+  async run(priceData, grid, settings, onProgress = null) {
+    const { trainMs, testMs, selectionMetric, options = {} } = settings;
+    const { initialCapital } = { ...DEFAULT_SIZING, ...options.sizing };
+    const costs = { ...DEFAULT_TRADING_COSTS, ...options.costs };
+    const folds = this.createFolds(priceData, trainMs, testMs);
+    if (folds.length === 0) {
+      throw new Error(
+        "Not enough data for a single train/test fold. Shorten the train or test length."
+      );
+    }
+
+    const foldResults = [];
+    let stitchedRows = [];
+
+    for (let i = 0; i < folds.length; i++) {
+      const fold = folds[i];
+      const trainData = priceData.slice(fold.trainStart, fold.trainEnd);
+
+      const trainResults = await this.optimizer.run(trainData, grid, options);
+      const best = trainResults
+        .filter((result) => !isNaN(result.metrics[selectionMetric]))
+        .sort(
+          (a, b) => b.metrics[selectionMetric] - a.metrics[selectionMetric]
+        )[0];
+
+      if (!best) {
+        console.warn(`Fold ${i + 1}: no valid parameter set, skipping`);
+        continue;
+      }
+
+      // Prepend one window of train bars so the Z-Score is warm at test start
+      const warmupStart = Math.max(0, fold.trainEnd - best.window);
+      const testRows = this.engine
+        .backtest(
+          priceData.slice(warmupStart, fold.testEnd),
+          best.window,
+          best.entry_threshold,
+          best.exit_threshold,
+          best.logic_type,
+          best.side,
+          { ...options, strategyParams: best.strategy_params }
+        )
+        .slice(fold.trainEnd - warmupStart)
+        .map((item, index) =>
+          index === 0
+            ? { ...this.startFlat(item, costs), fold: i + 1 }
+            : { ...item, fold: i + 1 }
+        );
+
+      foldResults.push({
+        fold: i + 1,
+        trainStart: priceData[fold.trainStart].time,
+        testStart: priceData[fold.trainEnd].time,
+        testEnd: priceData[fold.testEnd - 1].time,
+        params: {
+          logic_type: best.logic_type,
+          side: best.side,
+          window: best.window,
+          entry_threshold: best.entry_threshold,
+          exit_threshold: best.exit_threshold,
+          strategy_params: best.strategy_params,
+        },
+        inSampleMetrics: best.metrics,
+        outOfSampleMetrics: this.calculator.calculateAllMetrics(
+          this.engine.calculateEquity(testRows, initialCapital),
+          best.window
+        ),
+      });
+      stitchedRows = stitchedRows.concat(testRows);
+
+      if (onProgress) onProgress(i + 1, folds.length);
+    }
+
+    if (foldResults.length === 0) {
+      throw new Error("No fold produced a valid parameter set");
+    }
+
+    stitchedRows = this.engine.calculateEquity(stitchedRows, initialCapital);
+
+    return {
+      folds: foldResults,
+      outOfSampleRows: stitchedRows,
+      inSampleMetrics: this.averageMetrics(
+        foldResults.map((fold) => fold.inSampleMetrics)
+      ),
+      outOfSampleMetrics: this.calculator.calculateAllMetrics(stitchedRows, 0),
+    };
+  }
+
+  /**
+   * Re-base the first test row as if the fold started flat
+   * A position carried over from the warm-up bars is treated as opened at
+   * this row's close: it earns nothing on the bar and pays its entry fee and
+   * slippage, like any other fresh entry.
+   * @param {Object} row - First test row of a fold
+   * @param {Object} costs - Trading cost settings (see DEFAULT_TRADING_COSTS)
+   * @returns {Object} Row with no inherited position
+   */
+  startFlat(row, costs) {
+    const flat = {
+      ...row,
+      posPrev: 0,
+      exposurePrev: 0,
+      priceChange: 0,
+      trades: Math.abs(row.pos),
+      turnover: Math.abs(row.exposure),
+    };
+    if (row.posPrev !== 0) {
+      // Nothing was held, so nothing was stopped out or closed on this bar
+      flat.exitPrice = null;
+      flat.exitReason = null;
+    }
+    const { fee, slippage } = this.engine.calculateTradingCosts(flat, costs);
+    return {
+      ...flat,
+      grossPnl: 0,
+      fee,
+      slippage,
+      fundingPnl: 0,
+      pnl: -fee - slippage,
+    };
+  }
+
+  /**
+   * Average each numeric metric across folds (NaN values are skipped)
+   * @param {Array<Object>} metricsList - Metrics objects
+   * @returns {Object} Averaged metrics
+   */
+  averageMetrics(metricsList) {
+    const averaged = {};
+    for (const key of Object.keys(metricsList[0])) {
+      const values = metricsList
+        .map((metrics) => metrics[key])
+        .filter((value) => typeof value === "number" && !isNaN(value));
+      averaged[key] =
+        values.length > 0
+          ? Number(
+              (values.reduce((a, b) => a + b, 0) / values.length).toFixed(4)
+            )
+          : NaN;
+    }
+    return averaged;
+  }
+}
+
+// Robustness Analyzer
+
+/**
+ * Monte Carlo robustness of a completed backtest
+ * Resamples either the closed trades of the ledger (with replacement, in
+ * random order) or blocks of consecutive bar returns (circular block
+ * bootstrap, which keeps short-term autocorrelation), and measures every
+ * simulated path with the same definitions as the headline metrics.
+ */
+class RobustnessAnalyzer {
+  /**
+   * Seeded pseudo-random generator (mulberry32), so a run can be repeated
+   * @param {number} seed - 32-bit seed
+   * @returns {Function} Returns a float in [0, 1) on each call
+   */
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Draw a simulated return sequence of the same length as the original
+   * @param {Array<number>} returns - Trade or bar returns
+   * @param {string} method - "trades" (i.i.d. draws) or "blocks"
+   * @param {number} blockSize - Consecutive returns per block ("blocks" only)
+   * @param {Function} random - Generator from createRandom
+   * @returns {Array<number>}
+   */
+  resample(returns, method, blockSize, random) {
+    const n = returns.length;
+    if (method !== "blocks") {
+      return Array.from({ length: n }, () => returns[Math.floor(random() * n)]);
+    }
+
+    // Blocks wrap around the end, so the first and last bars are drawn as
+    // often as any other
+    const size = Math.min(Math.max(1, blockSize), n);
+    const sample = [];
+    while (sample.length < n) {
+      const start = Math.floor(random() * n);
+      for (let i = 0; i < size && sample.length < n; i++) {
+        sample.push(returns[(start + i) % n]);
+      }
+    }
+    return sample;
+  }
+
+  /**
+   * Measure one return sequence
+   * Total return and max drawdown are additive like the backtest metrics;
+   * ruin is checked on compounded equity.
+   * @param {Array<number>} returns - Return sequence
+   * @param {number} periodsPerYear - Annualizer for the Sharpe ratio
+   * @param {number} ruinLevel - Fraction of starting equity lost that counts as ruin
+   * @returns {{totalReturn: number, sharpeRatio: number, maxDrawdown: number, ruined: boolean}}
+   */
+  measurePath(returns, periodsPerYear, ruinLevel) {
+    let sum = 0;
+    let sumSq = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    let equity = 1;
+    let ruined = false;
+
+    for (const value of returns) {
+      sum += value;
+      sumSq += value * value;
+      peak = Math.max(peak, sum);
+      maxDrawdown = Math.min(maxDrawdown, sum - peak);
+      equity = Math.max(0, equity * (1 + value));
+      if (equity <= 1 - ruinLevel) ruined = true;
+    }
+
+    const n = returns.length;
+    const mean = sum / n;
+    const std = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+    return {
+      totalReturn: sum,
+      sharpeRatio:
+        n > 1 && std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : NaN,
+      maxDrawdown,
+      ruined,
+    };
+  }
+
+  /**
+   * Linear-interpolated percentile of an ascending array
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {number} p - Percentile in [0, 1]
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Run the simulation
+   * Yields to the event loop now and then so the page stays responsive
+   * when no worker is available.
+   * @param {Array<number>} returns - Closed-trade returns or bar returns
+   * @param {Object} settings - { method, iterations, blockSize, periodsPerYear, ruinLevel, seed, checkpoints }
+   * @param {Function} onProgress - Called with (completed, total)
+   * @returns {Promise<Object>} Historical and simulated metrics, percentile
+   *   intervals, probability of ruin and fan chart percentiles
+   */
+  async simulate(returns, settings, onProgress = null) {
+    const {
+      method,
+      iterations,
+      blockSize,
+      periodsPerYear,
+      ruinLevel,
+      seed = Date.now(),
+      checkpoints = 100,
+    } = settings;
+    const random = this.createRandom(seed);
+    const n = returns.length;
+
+    // Cumulative return is recorded at evenly spaced steps for the fan chart
+    const steps = Array.from(
+      new Set(
+        Array.from({ length: Math.min(checkpoints, n) }, (_, i) =>
+          Math.round(((i + 1) * n) / Math.min(checkpoints, n))
+        )
+      )
+    );
+    const paths = steps.map(() => []);
+    const results = { totalReturn: [], sharpeRatio: [], maxDrawdown: [] };
+    let ruinCount = 0;
+
+    for (let i = 0; i < iterations; i++) {
+      const sample = this.resample(returns, method, blockSize, random);
+      const measured = this.measurePath(sample, periodsPerYear, ruinLevel);
+      for (const key of Object.keys(results)) {
+        if (!isNaN(measured[key])) results[key].push(measured[key]);
+      }
+      if (measured.ruined) ruinCount++;
+
+      let cumulative = 0;
+      let step = 0;
+      for (let j = 0; j < n && step < steps.length; j++) {
+        cumulative += sample[j];
+        if (j + 1 === steps[step]) {
+          paths[step].push(cumulative);
+          step++;
+        }
+      }
+
+      if ((i + 1) % 100 === 0 || i + 1 === iterations) {
+        if (onProgress) onProgress(i + 1, iterations);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+
+    const intervals = {};
+    for (const [key, values] of Object.entries(results)) {
+      const sorted = values.sort((a, b) => a - b);
+      intervals[key] = {
+        p5: this.percentile(sorted, 0.05),
+        p50: this.percentile(sorted, 0.5),
+        p95: this.percentile(sorted, 0.95),
+      };
+    }
+
+    const fan = { steps, p5: [], p25: [], p50: [], p75: [], p95: [] };
+    for (const values of paths) {
+      const sorted = values.sort((a, b) => a - b);
+      for (const p of [5, 25, 50, 75, 95]) {
+        fan[`p${p}`].push(this.percentile(sorted, p / 100));
+      }
+    }
+    let cumulative = 0;
+    const historicalPath = [];
+    returns.forEach((value, j) => {
+      cumulative += value;
+      if (steps.includes(j + 1)) historicalPath.push(cumulative);
+    });
+
+    return {
+      method,
+      iterations,
+      historical: this.measurePath(returns, periodsPerYear, ruinLevel),
+      intervals,
+      probabilityOfRuin: ruinCount / iterations,
+      fan: { ...fan, historical: historicalPath },
+    };
+  }
+}
+
+// Telegram Notifier
+
+class TelegramNotifier {
+  constructor(botToken, chatId) {
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.baseUrl = `${TELEGRAM_API_BASE}${botToken}`;
+  }
+
+  /**
+   * Send message to Telegram
+   * @param {string} message - Message content
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendMessage(message) {
+    try {
+      const url = `${this.baseUrl}/sendMessage`;
+      const params = new URLSearchParams({
+        chat_id: this.chatId,
+        text: message,
+      });
+
+      const response = await fetch(url, {
+        method: "POST",
+        body: params,
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+      });
+
+      const result = await response.json();
+      return result.ok === true;
+    } catch (error) {
+      console.error("Error sending Telegram message:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Send test message
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendTestMessage() {
+    const now = new Date();
+    const timestamp = now.toLocaleString("en-US", {
+      hour12: false,
+    });
+
+    const testMessage =
+      "🤖 Bitcoin Trading Strategy System\n\n" +
+      "✅ Telegram connection test successful!\n" +
+      `⏰ Time: ${timestamp}\n\n` +
+      "System is ready to monitor Bitcoin prices and send trading signals.";
+
+    return await this.sendMessage(testMessage);
+  }
+
+  /**
+   * Send trading signal
+   * @param {string} signalType - 'entry_long', 'entry_short', 'exit_long', 'exit_short'
+   * @param {number} price - Current price
+   * @param {number} zscore - Current Z-Score
+   * @param {number} entryThreshold - Entry threshold
+   * @param {number} exitThreshold - Exit threshold
+   * @param {string} symbol - Contract symbol, e.g. "BTCUSDT"
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendSignal(
+    signalType,
+    price,
+    zscore,
+    entryThreshold,
+    exitThreshold,
+    symbol = DEFAULT_SYMBOL
+  ) {
+    const timestamp = new Date()
+      .toISOString()
+      .replace("T", " ")
+      .substring(0, 19);
+
+    let emoji = "⚪";
+    let action = "Unknown Signal";
+    let reason = "Unknown reason";
+
+    if (signalType === "entry_long") {
+      emoji = "🟢";
+      action = "Long Entry Signal";
+      reason = `Z-Score (${zscore.toFixed(
+        2
+      )}) >= ${entryThreshold} (price above mean)`;
+    } else if (signalType === "entry_short") {
+      emoji = "🔴";
+      action = "Short Entry Signal";
+      reason = `Z-Score (${zscore.toFixed(
+        2
+      )}) <= ${exitThreshold} (price below mean)`;
+    } else if (signalType === "exit_long") {
+      emoji = "🟡";
+      action = "Long Exit Signal";
+      reason = `Z-Score (${zscore.toFixed(
+        2
+      )}) <= ${exitThreshold} (price returning to mean)`;
+    } else if (signalType === "exit_short") {
+      emoji = "🟡";
+      action = "Short Exit Signal";
+      reason = `Z-Score (${zscore.toFixed(
+        2
+      )}) >= ${entryThreshold} (price returning to mean)`;
+    }
+
+    const message =
+      `${emoji} <b>${action}</b> — ${symbol}\n\n` +
+      `💰 Price: $${price.toLocaleString("en-US", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })}\n` +
+      `📊 Z-Score: ${zscore.toFixed(2)}\n` +
+      `📈 Reason: ${reason}\n` +
+      `⏰ Time: ${timestamp}`;
+
+    return await this.sendMessage(message);
+  }
+
+  /**
+   * Send monitoring status (always sent once per closed candle)
+   * @param {string} timeLabel - Candle close label like "02:00"
+   * @param {number} zscore - Current Z-Score
+   * @param {number} price - Last candle close price
+   * @param {string} actionLabel - Action description (enter/exit/hold/none)
+   * @param {"long"|"short"|"none"} positionLabel - Current position after evaluation
+   * @param {string|null} signalType - Optional signal that fired this hour
+   * @returns {Promise<boolean>}
+   */
+  /**
+   * Send per-candle monitoring summary (no separate signal message)
+   */
+  async sendHourlyUpdate(
+    timeLabel,
+    zscore,
+    price,
+    positionLabel,
+    windowSize,
+    entryThreshold,
+    exitThreshold,
+    dateLabel,
+    strategyLogic,
+    strategySide,
+    symbol = DEFAULT_SYMBOL,
+    timeframeLabel = "1h"
+  ) {
+    const priceText =
+      price !== null && !isNaN(price)
+        ? `$${price.toLocaleString("en-US", {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+          })}`
+        : "N/A";
+
+    const positionText =
+      positionLabel === "long"
+        ? "Long"
+        : positionLabel === "short"
+        ? "Short"
+        : "Flat";
+
+    // Compare with the threshold on the same side of zero, as strategies
+    // such as mean reversion go long below the exit threshold
+    let zCompareText = zscore.toFixed(2);
+    if (positionLabel === "long" || positionLabel === "short") {
+      const threshold = zscore >= 0 ? entryThreshold : exitThreshold;
+      zCompareText = `${zscore.toFixed(2)} ${
+        zscore >= threshold ? "≥" : "<"
+      } ${threshold}`;
+    }
+
+    const message =
+      `⏰ ${timeframeLabel} Monitor ${timeLabel} (${dateLabel})\n` +
+      `🪙 Symbol: ${symbol}\n` +
+      `💰 Price: ${priceText}\n` +
+      `📚 Strategy: ${strategyLogic} ${strategySide}\n` +
+      `🪟 Window: ${windowSize}\n` +
+      `📏 Thresholds — Entry: ${entryThreshold}, Exit: ${exitThreshold}\n` +
+      `📊 Z-Score: ${zCompareText}\n` +
+      `📌 Position: ${positionText}`;
+
+    return await this.sendMessage(message);
+  }
+}
+
+// Chart Generator
+
+// Wheel/pinch zoom and panning for the stacked signal panels
+if (!IS_WORKER && typeof ChartZoom !== "undefined") {
+  Chart.register(ChartZoom);
+}
+
+function generateEquityCurve(data, symbol = DEFAULT_SYMBOL) {
+  const canvas = document.getElementById("equityCurveChart");
+  if (!canvas) {
+    console.error("Canvas element not found");
+    return;
+  }
+
+  const ctx = canvas.getContext("2d");
+
+  if (equityChart) {
+    equityChart.destroy();
+  }
+
+  const labels = data.map((item) => {
+    const date = new Date(item.time);
+    return date.toLocaleDateString();
+  });
+  const cumulativePnl = data.map((item) => item.cumulativePnl);
+  const equity = data.map((item) => item.equity);
+
+  equityChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: labels,
+      datasets: [
+        {
+          label: "Equity Curve",
+          data: cumulativePnl,
+          borderColor: "#2563eb",
+          backgroundColor: "rgba(37, 99, 235, 0.1)",
+          borderWidth: 1.5,
+          fill: false,
+          tension: 0.1,
+        },
+        {
+          label: "Compounded Equity (USDT)",
+          data: equity,
+          borderColor: "#16a34a",
+          backgroundColor: "rgba(22, 163, 74, 0.1)",
+          borderWidth: 1.5,
+          fill: false,
+          tension: 0.1,
+          yAxisID: "y1",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        title: {
+          display: true,
+          text: `${symbol} Equity Curve`,
+          font: {
+            size: 14,
+            weight: "bold",
+          },
+        },
+        legend: {
+          display: true,
+        },
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: "Date",
+          },
+        },
+        y: {
+          title: {
+            display: true,
+            text: "Cumulative PnL",
+          },
+          grid: {
+            color: "rgba(0, 0, 0, 0.1)",
+          },
+        },
+        y1: {
+          position: "right",
+          title: {
+            display: true,
+            text: "Equity (USDT)",
+          },
+          grid: {
+            drawOnChartArea: false,
+          },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Stacked price, Z-Score and drawdown panels of a backtest
+ * The panels share one time axis: zooming or panning one moves the others.
+ * Every point carries its row index, so tooltips show that row's close,
+ * Z-Score, position and PnL whichever panel is hovered.
+ * @param {Array} data - Backtest rows
+ * @param {Object} formData - Form data of the run (thresholds, Z-Score settings)
+ */
+function generateSignalCharts(data, formData) {
+  const canvases = ["priceChart", "zscoreChart", "drawdownChart"].map((id) =>
+    document.getElementById(id)
+  );
+  if (canvases.some((canvas) => !canvas) || data.length === 0) {
+    console.error("Canvas element not found");
+    return;
+  }
+
+  for (const chart of [priceChart, zscoreChart, drawdownChart]) {
+    if (chart) chart.destroy();
+  }
+
+  const zscoreSettings = buildZScoreSettings(formData);
+  const warm = [];
+  data.forEach((item, row) => {
+    if (item.zscore !== null && item.mean !== null) warm.push(row);
+  });
+  const point = (row, y, marker) => ({ x: data[row].time, y, row, marker });
+  const band = (z) =>
+    warm.map((row) =>
+      point(row, backtestEngine.zscoreToPrice(data, row, z, zscoreSettings))
+    );
+
+  // Markers where the position changes; stop/target exits fill at exitPrice
+  const longEntries = [];
+  const shortEntries = [];
+  const exits = [];
+  data.forEach((item, row) => {
+    const previous = row > 0 ? data[row - 1].pos : 0;
+    if (item.pos === previous) return;
+    if (previous !== 0) {
+      const reason = item.exitReason || "signal";
+      exits.push(
+        point(row, item.exitPrice ?? item.close, `✖ Exit (${reason})`)
+      );
+    }
+    if (item.pos > 0) longEntries.push(point(row, item.close, "▲ Long entry"));
+    if (item.pos < 0) {
+      shortEntries.push(point(row, item.close, "▼ Short entry"));
+    }
+  });
+
+  const line = (label, points, color, extra = {}) => ({
+    label,
+    data: points,
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 1.2,
+    pointRadius: 0,
+    fill: false,
+    ...extra,
+  });
+  const markers = (label, points, color, pointStyle, rotation = 0) => ({
+    type: "scatter",
+    label,
+    data: points,
+    borderColor: color,
+    backgroundColor: color,
+    pointStyle,
+    rotation,
+    pointRadius: 6,
+    pointHoverRadius: 8,
+  });
+  const flatLine = (label, y, color) =>
+    line(
+      label,
+      [
+        { x: data[0].time, y },
+        { x: data[data.length - 1].time, y },
+      ],
+      color,
+      { borderDash: [6, 4] }
+    );
+
+  const describeRow = (row) => {
+    const item = data[row];
+    const position = item.pos > 0 ? "Long" : item.pos < 0 ? "Short" : "Flat";
+    return [
+      `Close: ${formatNumber(item.close, 2)}`,
+      `Z-Score: ${item.zscore === null ? "N/A" : formatNumber(item.zscore, 3)}`,
+      `Position: ${position}`,
+      `PnL: ${formatNumber(item.pnl, 4)} (cumulative ${formatNumber(
+        item.cumulativePnl,
+        4
+      )})`,
+    ];
+  };
+
+  const syncCharts = ({ chart }) => {
+    const { min, max } = chart.scales.x;
+    for (const other of [priceChart, zscoreChart, drawdownChart]) {
+      if (!other || other === chart) continue;
+      other.options.scales.x.min = min;
+      other.options.scales.x.max = max;
+      other.update("none");
+    }
+  };
+
+  const options = (title, yTitle, aspectRatio, showTicks) => ({
+    responsive: true,
+    maintainAspectRatio: true,
+    aspectRatio,
+    animation: false,
+    parsing: false,
+    normalized: true,
+    interaction: { mode: "nearest", axis: "x", intersect: false },
+    plugins: {
+      title: {
+        display: true,
+        text: title,
+        font: {
+          size: 14,
+          weight: "bold",
+        },
+      },
+      legend: {
+        display: true,
+      },
+      decimation: { enabled: true, algorithm: "lttb", samples: 1000 },
+      tooltip: {
+        // One tooltip per row; a trade marker wins over the lines under it
+        filter: (item, index, items) =>
+          item ===
+          (items.find((other) => other.raw.marker) ||
+            items.find((other) => other.raw.row !== undefined)),
+        callbacks: {
+          title: (items) =>
+            items.length > 0
+              ? formatUtcTime(data[items[0].raw.row].time) + " UTC"
+              : "",
+          label: (item) =>
+            item.raw.marker
+              ? [item.raw.marker, ...describeRow(item.raw.row)]
+              : describeRow(item.raw.row),
+        },
+      },
+      zoom: {
+        limits: { x: { min: "original", max: "original" } },
+        pan: { enabled: true, mode: "x", onPanComplete: syncCharts },
+        zoom: {
+          wheel: { enabled: true },
+          pinch: { enabled: true },
+          mode: "x",
+          onZoomComplete: syncCharts,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: "linear",
+        min: data[0].time,
+        max: data[data.length - 1].time,
+        ticks: {
+          display: showTicks,
+          callback: (value) => new Date(value).toLocaleDateString(),
+        },
+      },
+      y: {
+        title: {
+          display: true,
+          text: yTitle,
+        },
+        // Same axis width on every panel keeps the plot areas aligned
+        afterFit: (scale) => {
+          scale.width = 80;
+        },
+      },
+    },
+  });
+
+  priceChart = new Chart(canvases[0].getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: [
+        line(
+          "Close",
+          data.map((item, row) => point(row, item.close)),
+          "#58a6ff"
+        ),
+        line("Rolling Mean", band(0), "#d29922", { borderDash: [4, 3] }),
+        line("+1σ", band(1), "rgba(210, 153, 34, 0.5)", { borderWidth: 1 }),
+        line("−1σ", band(-1), "rgba(210, 153, 34, 0.5)", {
+          borderWidth: 1,
+          fill: "-1",
+          backgroundColor: "rgba(210, 153, 34, 0.08)",
+        }),
+        markers("Long Entry", longEntries, "#2ea043", "triangle"),
+        markers("Short Entry", shortEntries, "#f85149", "triangle", 180),
+        markers("Exit", exits, "#8b949e", "crossRot"),
+      ],
+    },
+    options: options(`${formData.symbol} Price`, "Price", 2.5, false),
+  });
+
+  zscoreChart = new Chart(canvases[1].getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: [
+        line(
+          "Z-Score",
+          warm.map((row) => point(row, data[row].zscore)),
+          "#bc8cff"
+        ),
+        flatLine(
+          `Entry Threshold (${formData.entry_threshold})`,
+          formData.entry_threshold,
+          "#2ea043"
+        ),
+        flatLine(
+          `Exit Threshold (${formData.exit_threshold})`,
+          formData.exit_threshold,
+          "#f85149"
+        ),
+      ],
+    },
+    options: options("Z-Score", "Z-Score", 5, false),
+  });
+
+  drawdownChart = new Chart(canvases[2].getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: [
+        line(
+          "Drawdown",
+          data.map((item, row) => point(row, item.drawdown)),
+          "#f85149",
+          { fill: "origin", backgroundColor: "rgba(248, 81, 73, 0.2)" }
+        ),
+      ],
+    },
+    options: options("Drawdown (Underwater)", "Drawdown", 5, true),
+  });
+}
+
+/**
+ * Zoom the price, Z-Score and drawdown panels back out to the full backtest
+ */
+function resetSignalChartsZoom() {
+  for (const chart of [priceChart, zscoreChart, drawdownChart]) {
+    if (chart) chart.resetZoom();
+  }
+}
+
+// Main Application Logic
+
+const candleCache = new CandleCache();
+const dataFetcher = new DataFetcher(candleCache);
+const ohlcvImporter = new OhlcvImporter();
+const backtestEngine = new BacktestEngine();
+const metricsCalculator = new MetricsCalculator(DEFAULT_INTERVAL);
+const strategyEvaluator = new StrategyEvaluator();
+const parameterOptimizer = new ParameterOptimizer(
+  backtestEngine,
+  metricsCalculator
+);
+
+// Optimizer results and table sort state
+let optimizerResults = [];
+let optimizerSort = { key: "Sharpe Ratio", ascending: false };
+
+// Trade ledger of the last backtest and its table sort state
+let tradeLedger = [];
+let tradeSort = { key: "entryTime", ascending: true };
+let lastBacktestRun = null; // { formData, backtestResults, metrics } of the last run
+
+// Run history table sort state and the run ids ticked for comparison
+let historySort = { key: "time", ascending: false };
+let comparisonSelection = new Set();
+
+// Parameter sets backtested this session, the default deflated Sharpe trials
+let sessionTrials = 0;
+
+const walkForwardValidator = new WalkForwardValidator(
+  parameterOptimizer,
+  backtestEngine,
+  metricsCalculator
+);
+const robustnessAnalyzer = new RobustnessAnalyzer();
+
+function formatNumber(value, decimals = 2) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return "N/A";
+  }
+  return Number(value).toLocaleString("en-US", {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+}
+
+/**
+ * Read the Bybit symbol and timeframe inputs
+ * @returns {{symbol: string, interval: string}}
+ */
+function getMarketSelection() {
+  return {
+    symbol: (document.getElementById("symbol")?.value || DEFAULT_SYMBOL)
+      .trim()
+      .toUpperCase(),
+    interval: document.getElementById("interval")?.value || DEFAULT_INTERVAL,
+  };
+}
+
+/**
+ * Read strategy parameters and cost settings from the backtest form
+ * With an imported data file, symbol and interval describe the file instead
+ * of the Bybit inputs.
+ * @returns {Object} Form data
+ */
+function getBacktestFormData() {
+  const dataSource = document.getElementById("data_source")?.value || "bybit";
+  const market =
+    dataSource === "file" && importedDataset
+      ? { symbol: importedDataset.label, interval: importedDataset.interval }
+      : getMarketSelection();
+  const logicType = document.getElementById("logic_type")?.value || "trend";
+
+  return {
+    data_source: dataSource,
+    symbol: market.symbol,
+    interval: market.interval,
+    logic_type: logicType,
+    strategy_params: getStrategyParamValues(logicType),
+    side: document.getElementById("side")?.value || "both",
+    window: parseInt(document.getElementById("window")?.value || 200),
+    entry_threshold: parseFloat(
+      document.getElementById("entry_threshold")?.value || 2.3
+    ),
+    exit_threshold: parseFloat(
+      document.getElementById("exit_threshold")?.value || -1
+    ),
+    zscore_method: document.getElementById("zscore_method")?.value || "rolling",
+    zscore_source: document.getElementById("zscore_source")?.value || "close",
+    zscore_std: document.getElementById("zscore_std")?.value || "population",
+    apply_costs: document.getElementById("apply_costs")?.checked || false,
+    order_type: document.getElementById("order_type")?.value || "taker",
+    maker_fee: parseFloat(document.getElementById("maker_fee")?.value || 0.02),
+    taker_fee: parseFloat(document.getElementById("taker_fee")?.value || 0.055),
+    slippage_model: document.getElementById("slippage_model")?.value || "none",
+    slippage_bps: parseFloat(
+      document.getElementById("slippage_bps")?.value || 1
+    ),
+    slippage_vol_factor: parseFloat(
+      document.getElementById("slippage_vol_factor")?.value || 0.05
+    ),
+    apply_funding: document.getElementById("apply_funding")?.checked || false,
+    risk_unit: document.getElementById("risk_unit")?.value || "percent",
+    stop_loss: parseFloat(document.getElementById("stop_loss")?.value || 0),
+    take_profit: parseFloat(document.getElementById("take_profit")?.value || 0),
+    trailing_stop: parseFloat(
+      document.getElementById("trailing_stop")?.value || 0
+    ),
+    atr_period: parseInt(document.getElementById("atr_period")?.value || 14),
+    sizing_method: document.getElementById("sizing_method")?.value || "fixed",
+    position_size: parseFloat(
+      document.getElementById("position_size")?.value || 100
+    ),
+    vol_target: parseFloat(document.getElementById("vol_target")?.value || 2),
+    max_leverage: parseFloat(
+      document.getElementById("max_leverage")?.value || 3
+    ),
+    initial_capital: parseFloat(
+      document.getElementById("initial_capital")?.value || 10000
+    ),
+    dsr_trials: parseInt(document.getElementById("dsr_trials")?.value || 0),
+    start_date:
+      document.getElementById("start_date")?.value || DEFAULT_START_DATE,
+    end_date: document.getElementById("end_date")?.value || "",
+  };
+}
+
+/**
+ * Validate backtest form data
+ * @param {Object} formData - Form data from getBacktestFormData
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBacktestFormData(formData) {
+  if (formData.data_source === "file" && !importedDataset) {
+    return "Choose a valid CSV or JSON data file, or switch the data source to Bybit API";
+  }
+
+  if (!/^[A-Z0-9]{2,30}$/.test(formData.symbol)) {
+    return "Symbol must be a Bybit linear contract name, e.g. BTCUSDT";
+  }
+
+  if (!BYBIT_INTERVALS[formData.interval]) {
+    return "Unsupported timeframe";
+  }
+
+  if (
+    isNaN(formData.window) ||
+    formData.window <= 0 ||
+    formData.window > 1000
+  ) {
+    return "Window size must be between 1 and 1000";
+  }
+
+  if (
+    isNaN(formData.entry_threshold) ||
+    formData.entry_threshold <= 0 ||
+    formData.entry_threshold > 5
+  ) {
+    return "Entry threshold must be between 0 and 5";
+  }
+
+  if (
+    isNaN(formData.exit_threshold) ||
+    formData.exit_threshold >= 0 ||
+    formData.exit_threshold < -5
+  ) {
+    return "Exit threshold must be between -5 and 0";
+  }
+
+  for (const param of getStrategy(formData.logic_type).params) {
+    const value = formData.strategy_params[param.key];
+    if (value < param.min || value > param.max) {
+      return `${param.label} must be between ${param.min} and ${param.max}`;
+    }
+  }
+
+  if (formData.data_source === "file") {
+    // Imported files are always tested in full
+    const candleCount = importedDataset.data.length;
+    if (candleCount <= formData.window) {
+      return `The data file has ${candleCount} candles; it must contain more than the window size (${formData.window})`;
+    }
+  } else {
+    const { startTime, endTime } = getBacktestDateRange(formData);
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+      return "Start and end dates must be valid dates";
+    }
+    if (startTime >= endTime) {
+      return "Start date must be before end date";
+    }
+    if (startTime.getTime() > Date.now()) {
+      return "Start date cannot be in the future";
+    }
+
+    const candleCount = Math.floor(
+      (endTime - startTime) / getIntervalMs(formData.interval)
+    );
+    if (candleCount <= formData.window) {
+      return `Date range covers ${candleCount} ${getIntervalLabel(formData.interval)} candles; it must contain more than the window size (${formData.window})`;
+    }
+  }
+
+  if (
+    isNaN(formData.maker_fee) ||
+    isNaN(formData.taker_fee) ||
+    Math.abs(formData.maker_fee) > 1 ||
+    Math.abs(formData.taker_fee) > 1
+  ) {
+    return "Fee rates must be between -1% and 1%";
+  }
+
+  if (
+    isNaN(formData.slippage_bps) ||
+    isNaN(formData.slippage_vol_factor) ||
+    formData.slippage_bps < 0 ||
+    formData.slippage_vol_factor < 0
+  ) {
+    return "Slippage settings must be zero or positive";
+  }
+
+  if (
+    [formData.stop_loss, formData.take_profit, formData.trailing_stop].some(
+      (value) => isNaN(value) || value < 0
+    )
+  ) {
+    return "Stop-loss, take-profit and trailing stop must be zero or positive";
+  }
+
+  if (
+    formData.risk_unit === "percent" &&
+    (formData.stop_loss >= 100 || formData.trailing_stop >= 100)
+  ) {
+    return "Percent stops must be below 100%";
+  }
+
+  if (
+    isNaN(formData.atr_period) ||
+    formData.atr_period < 1 ||
+    formData.atr_period > 500
+  ) {
+    return "ATR period must be between 1 and 500";
+  }
+
+  if (
+    isNaN(formData.position_size) ||
+    isNaN(formData.vol_target) ||
+    formData.position_size <= 0 ||
+    formData.vol_target <= 0
+  ) {
+    return "Position size and volatility target must be positive";
+  }
+
+  if (
+    isNaN(formData.max_leverage) ||
+    formData.max_leverage <= 0 ||
+    formData.max_leverage > 100
+  ) {
+    return "Leverage cap must be between 0 and 100";
+  }
+
+  if (isNaN(formData.initial_capital) || formData.initial_capital <= 0) {
+    return "Starting capital must be positive";
+  }
+
+  if (isNaN(formData.dsr_trials) || formData.dsr_trials < 0) {
+    return "Trials for the deflated Sharpe must be a positive whole number";
+  }
+
+  return null;
+}
+
+/**
+ * Convert the form's UTC date strings into a backtest time range
+ * The end date is inclusive (runs to 23:59:59.999) and capped at now.
+ * @param {Object} formData - Form data with start_date and end_date
+ * @returns {{startTime: Date, endTime: Date}}
+ */
+function getBacktestDateRange(formData) {
+  const startTime = new Date(`${formData.start_date}T00:00:00Z`);
+  let endTime = formData.end_date
+    ? new Date(new Date(`${formData.end_date}T00:00:00Z`).getTime() + 86399999)
+    : new Date();
+  if (endTime.getTime() > Date.now()) {
+    endTime = new Date();
+  }
+  return { startTime, endTime };
+}
+
+/**
+ * Get the start/end dates (YYYY-MM-DD, UTC) of a quick date preset
+ * @param {string} preset - Preset name, e.g. "90d", "2023", "halving"
+ * @returns {{start: string, end: string}|null} Null for unknown presets
+ */
+function getDatePresetRange(preset) {
+  const toDateString = (date) => date.toISOString().substring(0, 10);
+  const today = new Date();
+  const daysAgo = (days) =>
+    toDateString(new Date(today.getTime() - days * 24 * 3600 * 1000));
+
+  if (preset === "90d") return { start: daysAgo(90), end: toDateString(today) };
+  if (preset === "365d") {
+    return { start: daysAgo(365), end: toDateString(today) };
+  }
+  if (preset === "halving") {
+    return { start: LAST_HALVING_DATE, end: toDateString(today) };
+  }
+  if (preset === "default") {
+    return { start: DEFAULT_START_DATE, end: toDateString(today) };
+  }
+  if (/^\d{4}$/.test(preset)) {
+    return { start: `${preset}-01-01`, end: `${preset}-12-31` };
+  }
+  return null;
+}
+
+function applyDatePreset() {
+  const preset = document.getElementById("date_preset")?.value;
+  const range = getDatePresetRange(preset);
+  if (!range) return;
+
+  const startDateInput = document.getElementById("start_date");
+  const endDateInput = document.getElementById("end_date");
+  if (startDateInput) startDateInput.value = range.start;
+  if (endDateInput) endDateInput.value = range.end;
+}
+
+/**
+ * Fetch price (and optionally funding) data for a backtest
+ * The last dataset is kept in memory and reused while it is less than one
+ * candle old, so repeated runs and optimizer sweeps download it only once.
+ * Imported data files are used in full and carry no funding history.
+ * Also sets the shared metrics calculator to the dataset's timeframe.
+ * @param {Object} formData - Form data from getBacktestFormData
+ * @returns {Promise<{priceData: Array, fundingRates: Array, warnings: Array<string>}>}
+ */
+async function loadBacktestData(formData) {
+  if (formData.data_source === "file") {
+    return loadImportedData(formData);
+  }
+
+  const symbol = formData.symbol;
+  const interval = formData.interval;
+  const { startTime, endTime } = getBacktestDateRange(formData);
+  const key = `${symbol}_${interval}_${formData.start_date}_${formData.end_date}`;
+  const now = Date.now();
+
+  if (
+    !lastDataset ||
+    lastDataset.key !== key ||
+    now - lastDataset.fetchedAt > getIntervalMs(interval)
+  ) {
+    console.log("Fetching historical data...");
+    dataFetcher.takeWarnings(); // Drop warnings left over from other requests
+    const priceData = await dataFetcher.fetchCachedHistoricalData(
+      symbol,
+      interval,
+      startTime,
+      endTime
+    );
+    console.log(`Loaded ${priceData.length} data points`);
+    updateCacheStatus();
+    const warnings = [
+      ...dataFetcher.takeWarnings(),
+      ...dataFetcher.checkDataQuality(priceData, interval, startTime, endTime),
+    ];
+    warnings.forEach((warning) => console.warn(`Data warning: ${warning}`));
+    lastDataset = {
+      key,
+      fetchedAt: now,
+      startTime,
+      endTime,
+      priceData,
+      fundingRates: null,
+      warnings,
+    };
+  } else {
+    console.log("Reusing cached historical data");
+  }
+
+  metricsCalculator.setTimeframe(interval);
+
+  if (formData.apply_funding && !lastDataset.fundingRates) {
+    console.log("Fetching funding history...");
+    lastDataset.fundingRates = await dataFetcher.fetchFundingHistory(
+      symbol,
+      lastDataset.startTime,
+      lastDataset.endTime
+    );
+    console.log(`Fetched ${lastDataset.fundingRates.length} funding events`);
+    lastDataset.warnings.push(...dataFetcher.takeWarnings());
+  }
+
+  return {
+    priceData: lastDataset.priceData,
+    fundingRates: formData.apply_funding ? lastDataset.fundingRates : [],
+    warnings: lastDataset.warnings,
+  };
+}
+
+/**
+ * Use the imported data file as the backtest dataset
+ * @param {Object} formData - Form data from getBacktestFormData
+ * @returns {{priceData: Array, fundingRates: Array, warnings: Array<string>}}
+ */
+function loadImportedData(formData) {
+  const priceData = importedDataset.data;
+
+  if (!lastDataset || lastDataset.key !== importedDataset.key) {
+    const startTime = new Date(priceData[0].time);
+    const endTime = new Date(priceData[priceData.length - 1].time);
+    lastDataset = {
+      key: importedDataset.key,
+      fetchedAt: Date.now(),
+      startTime,
+      endTime,
+      priceData,
+      fundingRates: [],
+      warnings: [
+        ...importedDataset.warnings,
+        ...dataFetcher.checkDataQuality(
+          priceData,
+          importedDataset.interval,
+          startTime,
+          endTime
+        ),
+      ],
+    };
+  }
+
+  metricsCalculator.setTimeframe(importedDataset.interval);
+
+  return {
+    priceData,
+    fundingRates: [],
+    warnings: formData.apply_funding
+      ? [
+          ...lastDataset.warnings,
+          "Funding payments are only available for Bybit data and were not applied",
+        ]
+      : lastDataset.warnings,
+  };
+}
+
+/**
+ * Summarize data warnings for a one-line status message
+ * @param {Array<string>} warnings - Warnings from loadBacktestData
+ * @returns {string} Text to append, empty when there are none
+ */
+function describeDataWarnings(warnings) {
+  if (!warnings || warnings.length === 0) {
+    return "";
+  }
+  return ` — ⚠️ ${warnings.join(" ⚠️ ")}`;
+}
+
+/**
+ * Show what the candle cache holds for the selected symbol/timeframe
+ */
+async function updateCacheStatus() {
+  const cacheStatusEl = document.getElementById("cacheStatus");
+  if (!cacheStatusEl) return;
+
+  if (!candleCache.isAvailable()) {
+    cacheStatusEl.textContent = "Not available in this browser";
+    return;
+  }
+
+  const { symbol, interval } = getMarketSelection();
+  try {
+    const status = await candleCache.getStatus(symbol, interval);
+    if (!status) {
+      cacheStatusEl.textContent = `${symbol} ${getIntervalLabel(
+        interval
+      )}: nothing cached yet`;
+      return;
+    }
+
+    const formatTime = (time) =>
+      new Date(time).toISOString().replace("T", " ").substring(0, 16);
+    cacheStatusEl.textContent =
+      `${symbol} ${getIntervalLabel(interval)}: ` +
+      `${formatTime(status.firstTime)} → ${formatTime(status.lastTime)} UTC, ` +
+      `${status.count.toLocaleString()} candles, ` +
+      `last sync ${new Date(status.lastSync).toLocaleString()}`;
+  } catch (error) {
+    console.warn("Could not read candle cache:", error);
+    cacheStatusEl.textContent = "Unavailable";
+  }
+}
+
+async function handleClearCache() {
+  if (!confirm("Delete all cached candles? They will be downloaded again.")) {
+    return;
+  }
+
+  try {
+    await candleCache.clear();
+    lastDataset = null;
+    console.log("Candle cache cleared");
+  } catch (error) {
+    console.error("Error clearing candle cache:", error);
+    alert("Failed to clear the candle cache: " + error.message);
+  }
+  updateCacheStatus();
+}
+
+/**
+ * Fill the symbol datalist with Bybit's tradable linear contracts
+ * The static defaults in the page stay in place if the request fails.
+ */
+async function populateSymbolList() {
+  const symbolList = document.getElementById("symbolList");
+  if (!symbolList) return;
+
+  try {
+    const symbols = await dataFetcher.fetchInstruments();
+    symbolList.innerHTML = "";
+    for (const symbol of symbols) {
+      const option = document.createElement("option");
+      option.value = symbol;
+      symbolList.appendChild(option);
+    }
+    console.log(`Loaded ${symbols.length} symbols`);
+  } catch (error) {
+    console.warn("Could not load symbol list:", error);
+  }
+}
+
+/**
+ * Convert form cost inputs (percent / bps) into BacktestEngine cost settings
+ * @param {Object} formData - Form data with cost fields
+ * @returns {Object} Trading cost settings
+ */
+function buildTradingCosts(formData) {
+  return {
+    enabled: formData.apply_costs,
+    makerFee: formData.maker_fee / 100,
+    takerFee: formData.taker_fee / 100,
+    orderType: formData.order_type,
+    slippageModel: formData.slippage_model,
+    slippageBps: formData.slippage_bps,
+    slippageVolFactor: formData.slippage_vol_factor,
+  };
+}
+
+/**
+ * Collect the form's stop-loss / take-profit / trailing-stop settings
+ * @param {Object} formData - Form data with exit rule fields
+ * @returns {Object} Exit rules (see DEFAULT_RISK_RULES)
+ */
+function buildRiskRules(formData) {
+  return {
+    unit: formData.risk_unit,
+    stopLoss: formData.stop_loss,
+    takeProfit: formData.take_profit,
+    trailingStop: formData.trailing_stop,
+    atrPeriod: formData.atr_period,
+  };
+}
+
+/**
+ * Collect the form's Z-Score definition
+ * @param {Object} formData - Form data with Z-Score fields
+ * @returns {Object} Z-Score settings (see DEFAULT_ZSCORE)
+ */
+function buildZScoreSettings(formData) {
+  return {
+    method: formData.zscore_method,
+    source: formData.zscore_source,
+    stdType: formData.zscore_std,
+  };
+}
+
+/**
+ * Convert form sizing inputs (percent) into BacktestEngine sizing settings
+ * @param {Object} formData - Form data with sizing fields
+ * @returns {Object} Sizing settings (see DEFAULT_SIZING)
+ */
+function buildPositionSizing(formData) {
+  return {
+    method: formData.sizing_method,
+    fraction: formData.position_size / 100,
+    volTarget: formData.vol_target / 100,
+    maxLeverage: formData.max_leverage,
+    initialCapital: formData.initial_capital,
+  };
+}
+
+/**
+ * Number of trials the deflated Sharpe ratio should allow for
+ * Uses the form's count when set, otherwise every parameter set backtested
+ * this session including the ones about to run.
+ * @param {Object} formData - Form data with dsr_trials
+ * @param {number} runs - Parameter sets in the run being started
+ */
+function getTrialCount(formData, runs) {
+  return formData.dsr_trials > 0 ? formData.dsr_trials : sessionTrials + runs;
+}
+
+/**
+ * Add finished runs to the session's trial count
+ * @param {number} runs - Parameter sets backtested
+ */
+function recordTrials(runs) {
+  sessionTrials += runs;
+  const hintEl = document.getElementById("sessionTrialsHint");
+  if (hintEl) {
+    hintEl.textContent = `Blank = parameter sets backtested this session (${sessionTrials.toLocaleString()} so far)`;
+  }
+}
+
+function showError(message) {
+  if (errorMessage) {
+    errorMessage.textContent = "❌ " + message;
+    errorMessage.style.display = "block";
+  }
+  if (loadingIndicator) loadingIndicator.style.display = "none";
+
+  setTimeout(() => {
+    if (errorMessage) {
+      errorMessage.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+  }, 100);
+}
+
+function displayResults(data) {
+  console.log("Displaying results:", data);
+  const metrics = data.metrics;
+  const evaluation = data.evaluation;
+
+  const dataPointsBadge = document.getElementById("dataPointsBadge");
+  if (dataPointsBadge && data.data_points) {
+    dataPointsBadge.textContent = `${data.symbol || DEFAULT_SYMBOL} · ${data.data_points.toLocaleString()} data points`;
+  }
+
+  const dataWarningEl = document.getElementById("dataWarning");
+  if (dataWarningEl) {
+    const warnings = data.data_warnings || [];
+    // Warnings can quote API replies and imported file contents
+    dataWarningEl.innerHTML = "";
+    warnings.forEach((warning) => {
+      const div = document.createElement("div");
+      div.textContent = `⚠️ ${warning}`;
+      dataWarningEl.appendChild(div);
+    });
+    dataWarningEl.style.display = warnings.length > 0 ? "block" : "none";
+  }
+
+  const metricElements = {
+    sharpeRatio: metrics["Sharpe Ratio"],
+    calmarRatio: metrics["Calmar Ratio"],
+    maxDrawdown: metrics["Max Drawdown"],
+    annualizedReturn: metrics["Annualized Return"],
+    totalReturn: metrics["Total Return"],
+    grossTotalReturn: metrics["Gross Total Return"],
+    totalCosts: metrics["Total Fees"] + metrics["Total Slippage"],
+    fundingPnl: metrics["Funding PnL"],
+    compoundedReturn: metrics["Compounded Return"],
+    finalEquity: metrics["Final Equity"],
+    maxEquityDrawdown: metrics["Max Equity Drawdown"],
+    numTrades: metrics["Number of Trades"],
+    tradeFrequency: metrics["Trade Frequency %"],
+    winRate: metrics["Win Rate %"],
+    profitFactor: metrics["Profit Factor"],
+    expectancy: metrics["Expectancy per Trade"],
+    avgWin: metrics["Average Win"],
+    avgLoss: metrics["Average Loss"],
+  };
+
+  const sharpeEl = document.getElementById("sharpeRatio");
+  const calmarEl = document.getElementById("calmarRatio");
+  const maxDrawdownEl = document.getElementById("maxDrawdown");
+  const annualizedReturnEl = document.getElementById("annualizedReturn");
+  const totalReturnEl = document.getElementById("totalReturn");
+  const grossTotalReturnEl = document.getElementById("grossTotalReturn");
+  const totalCostsEl = document.getElementById("totalCosts");
+  const fundingPnlEl = document.getElementById("fundingPnl");
+  const compoundedReturnEl = document.getElementById("compoundedReturn");
+  const finalEquityEl = document.getElementById("finalEquity");
+  const maxEquityDrawdownEl = document.getElementById("maxEquityDrawdown");
+  const numTradesEl = document.getElementById("numTrades");
+  const tradeFrequencyEl = document.getElementById("tradeFrequency");
+  const winRateEl = document.getElementById("winRate");
+  const profitFactorEl = document.getElementById("profitFactor");
+  const expectancyEl = document.getElementById("expectancy");
+  const avgWinEl = document.getElementById("avgWin");
+  const avgLossEl = document.getElementById("avgLoss");
+
+  if (sharpeEl) sharpeEl.textContent = formatNumber(metricElements.sharpeRatio);
+  if (calmarEl) calmarEl.textContent = formatNumber(metricElements.calmarRatio);
+  if (maxDrawdownEl)
+    maxDrawdownEl.textContent = formatNumber(metricElements.maxDrawdown, 4);
+  if (annualizedReturnEl)
+    annualizedReturnEl.textContent = formatNumber(
+      metricElements.annualizedReturn,
+      4
+    );
+  if (totalReturnEl)
+    totalReturnEl.textContent = formatNumber(metricElements.totalReturn, 4);
+  if (grossTotalReturnEl)
+    grossTotalReturnEl.textContent = formatNumber(
+      metricElements.grossTotalReturn,
+      4
+    );
+  if (totalCostsEl)
+    totalCostsEl.textContent = formatNumber(metricElements.totalCosts, 4);
+  if (fundingPnlEl)
+    fundingPnlEl.textContent = formatNumber(metricElements.fundingPnl, 4);
+  if (compoundedReturnEl)
+    compoundedReturnEl.textContent = formatNumber(
+      metricElements.compoundedReturn,
+      4
+    );
+  if (finalEquityEl)
+    finalEquityEl.textContent = `${formatNumber(
+      metricElements.finalEquity,
+      2
+    )} USDT`;
+  if (maxEquityDrawdownEl)
+    maxEquityDrawdownEl.textContent = formatNumber(
+      metricElements.maxEquityDrawdown,
+      4
+    );
+  if (numTradesEl)
+    numTradesEl.textContent = metricElements.numTrades.toLocaleString();
+  if (tradeFrequencyEl)
+    tradeFrequencyEl.textContent =
+      formatNumber(metricElements.tradeFrequency, 2) + "%";
+  if (winRateEl)
+    winRateEl.textContent = formatNumber(metricElements.winRate, 2) + "%";
+  if (profitFactorEl)
+    profitFactorEl.textContent =
+      metricElements.profitFactor === Infinity
+        ? "∞"
+        : formatNumber(metricElements.profitFactor);
+  if (expectancyEl)
+    expectancyEl.textContent = formatNumber(metricElements.expectancy, 4);
+  if (avgWinEl) avgWinEl.textContent = formatNumber(metricElements.avgWin, 4);
+  if (avgLossEl)
+    avgLossEl.textContent = formatNumber(metricElements.avgLoss, 4);
+
+  // Risk & benchmark tiles: [element id, metric name, decimals, suffix]
+  const riskTiles = [
+    ["sortinoRatio", "Sortino Ratio", 2, ""],
+    ["maxDrawdownDuration", "Max Drawdown Duration (days)", 1, " days"],
+    ["recoveryTime", "Recovery Time (days)", 1, " days"],
+    ["exposure", "Exposure %", 2, "%"],
+    ["skewness", "Skewness", 2, ""],
+    ["kurtosis", "Excess Kurtosis", 2, ""],
+    ["tailRatio", "Tail Ratio", 2, ""],
+    ["buyHoldReturn", "Buy & Hold Return", 4, ""],
+    ["alpha", "Alpha", 4, ""],
+    ["beta", "Beta", 2, ""],
+    ["informationRatio", "Information Ratio", 2, ""],
+    ["probabilisticSharpe", "Probabilistic Sharpe %", 1, "%"],
+    ["deflatedSharpe", "Deflated Sharpe %", 1, "%"],
+    ["trials", "Trials", 0, ""],
+    ["minTrackRecord", "Min Track Record (days)", 1, " days"],
+  ];
+  for (const [id, key, decimals, suffix] of riskTiles) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    const value = metrics[key];
+    if (key === "Recovery Time (days)" && isNaN(value)) {
+      el.textContent = "Not recovered";
+    } else {
+      el.textContent =
+        formatNumber(value, decimals) + (isNaN(value) ? "" : suffix);
+    }
+  }
+
+  const periodText = `${metrics["Start Date"]} to ${metrics["End Date"]} (${metrics["Period (days)"]} days)`;
+  const backtestPeriodEl = document.getElementById("backtestPeriod");
+  if (backtestPeriodEl) backtestPeriodEl.textContent = periodText;
+
+  if (evaluation) renderEvaluation(evaluation);
+
+  if (metricsDisplay) metricsDisplay.style.display = "block";
+
+  // Show telegram section
+  if (telegramSection) telegramSection.style.display = "block";
+}
+
+/**
+ * Show the verdict, score and reasons of a strategy evaluation
+ * @param {Object} evaluation - { recommended, reasons, score, grade }
+ */
+function renderEvaluation(evaluation) {
+  const evaluationResult = document.getElementById("evaluationResult");
+  const evaluationScore = document.getElementById("evaluationScore");
+  const evaluationReasons = document.getElementById("evaluationReasons");
+
+  if (evaluationResult) {
+    if (evaluation.recommended) {
+      evaluationResult.textContent =
+        "✅ RECOMMENDED - This strategy meets all evaluation criteria";
+      evaluationResult.className = "evaluation-result evaluation-recommended";
+    } else {
+      evaluationResult.textContent =
+        "❌ NOT RECOMMENDED - This strategy does not meet all evaluation criteria";
+      evaluationResult.className =
+        "evaluation-result evaluation-not-recommended";
+    }
+
+    if (evaluationReasons && evaluation.reasons) {
+      evaluationReasons.innerHTML = "";
+      evaluation.reasons.forEach((reason) => {
+        const li = document.createElement("li");
+        li.textContent = reason;
+        evaluationReasons.appendChild(li);
+      });
+    }
+  }
+
+  if (evaluationScore) {
+    evaluationScore.textContent = isNaN(evaluation.score)
+      ? "Score N/A (no weighted criteria)"
+      : `Score ${evaluation.score} / 100 · Grade ${evaluation.grade}`;
+  }
+}
+
+/**
+ * Build a report filename from the run's settings and tested date range
+ * Format: {symbol}_{timeframe}_{logic_type}_{side}_{window}_{entry_threshold}_{exit_threshold}_{start}_{end}——{suffix}.csv
+ * Example: BTCUSDT_1h_trend_long_130_2_-2_20220101_20241231——zscorebacktest.csv
+ * @param {Array} backtestResults - Backtest rows (for the date range)
+ * @param {Object} formData - Form data of the run
+ * @param {string} suffix - Report type, e.g. "zscorebacktest"
+ */
+function getReportFilename(backtestResults, formData, suffix) {
+  const symbol = formData.symbol || DEFAULT_SYMBOL;
+  const timeframe = getIntervalLabel(formData.interval || DEFAULT_INTERVAL);
+  const logicType = formData.logic_type || "trend";
+  const side = formData.side || "both";
+  const window = formData.window || 190;
+  const entryThreshold = formData.entry_threshold || 0.8;
+  const exitThreshold = formData.exit_threshold || -0.3;
+
+  // Format exit threshold for filename
+  // If exit threshold is negative (e.g., -0.3), keep the negative sign
+  // Format: trend_long_130_2_-2——zscorebacktest.csv
+  const exitThresholdStr = exitThreshold.toString();
+
+  // Date range as YYYYMMDD (UTC), taken from the data actually tested
+  const formatFileDate = (time) =>
+    new Date(time).toISOString().substring(0, 10).replace(/-/g, "");
+  const startStr = formatFileDate(backtestResults[0].time);
+  const endStr = formatFileDate(
+    backtestResults[backtestResults.length - 1].time
+  );
+
+  return `${symbol}_${timeframe}_${logicType}_${side}_${window}_${entryThreshold}_${exitThresholdStr}_${startStr}_${endStr}——${suffix}.csv`;
+}
+
+/**
+ * Trigger a browser download of CSV lines
+ * @param {string} filename - Download filename
+ * @param {Array<string>} csvRows - Header and data lines
+ */
+function downloadCsvFile(filename, csvRows) {
+  const csvContent = csvRows.join("\n");
+  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+  const link = document.createElement("a");
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute("href", url);
+  link.setAttribute("download", filename);
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Export the last backtest's trade ledger as a CSV file
+ */
+function downloadTradeLedger() {
+  if (!lastBacktestRun || tradeLedger.length === 0) {
+    alert("Run a backtest with at least one trade first!");
+    return;
+  }
+
+  const headers = [
+    "entry_time",
+    "exit_time",
+    "side",
+    "entry_price",
+    "exit_price",
+    "size",
+    "bars",
+    "price_change",
+    "return",
+    "mae",
+    "mfe",
+    "exit_reason",
+  ];
+  const formatCsvTime = (time) =>
+    new Date(time).toISOString().replace("T", " ").substring(0, 19);
+
+  const csvRows = [headers.join(",")];
+  for (const trade of tradeLedger) {
+    csvRows.push(
+      [
+        formatCsvTime(trade.entryTime),
+        formatCsvTime(trade.exitTime),
+        trade.side,
+        trade.entryPrice,
+        trade.exitPrice,
+        trade.size,
+        trade.bars,
+        trade.priceChange,
+        trade.return,
+        trade.mae,
+        trade.mfe,
+        trade.exitReason,
+      ].join(",")
+    );
+  }
+
+  const filename = getReportFilename(
+    lastBacktestRun.backtestResults,
+    lastBacktestRun.formData,
+    "zscoretrades"
+  );
+  downloadCsvFile(filename, csvRows);
+  console.log(`Trade ledger downloaded: ${filename}`);
+}
+
+/**
+ * Generate and download backtest report as CSV
+ * @param {Array} backtestResults - Backtest results array
+ * @param {Object} formData - Form data with strategy parameters
+ */
+function downloadBacktestReport(backtestResults, formData) {
+  try {
+    const filename = getReportFilename(
+      backtestResults,
+      formData,
+      "zscorebacktest"
+    );
+
+    // CSV Headers (matching backtest_report.csv format)
+    const headers = [
+      "time",
+      "open",
+      "high",
+      "low",
+      "close",
+      "volume",
+      "mean",
+      "std",
+      "atr",
+      "zscore",
+      "pos",
+      "size",
+      "exposure",
+      "trades",
+      "turnover",
+      "exit_price",
+      "exit_reason",
+      "gross_pnl",
+      "fee",
+      "slippage",
+      "funding_pnl",
+      "pnl",
+      "cumulative_gross_pnl",
+      "cumulative_pnl",
+      "equity",
+      "drawdown",
+      "equity_drawdown",
+    ];
+
+    // Convert backtest results to CSV rows
+    const csvRows = [headers.join(",")];
+
+    for (const row of backtestResults) {
+      const time = new Date(row.time)
+        .toISOString()
+        .replace("T", " ")
+        .substring(0, 19);
+      const open = row.open !== null && row.open !== undefined ? row.open : "";
+      const high = row.high !== null && row.high !== undefined ? row.high : "";
+      const low = row.low !== null && row.low !== undefined ? row.low : "";
+      const close = row.close || "";
+      const volume =
+        row.volume !== null && row.volume !== undefined ? row.volume : "";
+      const mean = row.mean !== null && row.mean !== undefined ? row.mean : "";
+      const std = row.std !== null && row.std !== undefined ? row.std : "";
+      const atr = row.atr !== null && row.atr !== undefined ? row.atr : "";
+      const zscore =
+        row.zscore !== null && row.zscore !== undefined ? row.zscore : "";
+      const pos = row.pos !== null && row.pos !== undefined ? row.pos : "";
+      const size = row.size !== null && row.size !== undefined ? row.size : "";
+      const exposure =
+        row.exposure !== null && row.exposure !== undefined ? row.exposure : "";
+      const trades =
+        row.trades !== null && row.trades !== undefined ? row.trades : "";
+      const turnover =
+        row.turnover !== null && row.turnover !== undefined ? row.turnover : "";
+      const exitPrice =
+        row.exitPrice !== null && row.exitPrice !== undefined
+          ? row.exitPrice
+          : "";
+      const exitReason = row.exitReason || "";
+      const grossPnl =
+        row.grossPnl !== null && row.grossPnl !== undefined ? row.grossPnl : "";
+      const fee = row.fee !== null && row.fee !== undefined ? row.fee : "";
+      const slippage =
+        row.slippage !== null && row.slippage !== undefined ? row.slippage : "";
+      const fundingPnl =
+        row.fundingPnl !== null && row.fundingPnl !== undefined
+          ? row.fundingPnl
+          : "";
+      const pnl = row.pnl !== null && row.pnl !== undefined ? row.pnl : "";
+      const cumulativeGrossPnl =
+        row.cumulativeGrossPnl !== null && row.cumulativeGrossPnl !== undefined
+          ? row.cumulativeGrossPnl
+          : "";
+      const cumulativePnl =
+        row.cumulativePnl !== null && row.cumulativePnl !== undefined
+          ? row.cumulativePnl
+          : "";
+      const equity =
+        row.equity !== null && row.equity !== undefined ? row.equity : "";
+      const drawdown =
+        row.drawdown !== null && row.drawdown !== undefined ? row.drawdown : "";
+      const equityDrawdown =
+        row.equityDrawdown !== null && row.equityDrawdown !== undefined
+          ? row.equityDrawdown
+          : "";
+
+      const csvRow = [
+        time,
+        open,
+        high,
+        low,
+        close,
+        volume,
+        mean,
+        std,
+        atr,
+        zscore,
+        pos,
+        size,
+        exposure,
+        trades,
+        turnover,
+        exitPrice,
+        exitReason,
+        grossPnl,
+        fee,
+        slippage,
+        fundingPnl,
+        pnl,
+        cumulativeGrossPnl,
+        cumulativePnl,
+        equity,
+        drawdown,
+        equityDrawdown,
+      ].join(",");
+
+      csvRows.push(csvRow);
+    }
+
+    downloadCsvFile(filename, csvRows);
+
+    console.log(`CSV report downloaded: ${filename}`);
+  } catch (error) {
+    console.error("Error generating CSV report:", error);
+    // Don't show error to user, just log it
+  }
+}
+
+/**
+ * Update the text under the backtest loading spinner
+ * @param {string} text - Text to display
+ */
+function setLoadingText(text) {
+  const loadingText = loadingIndicator?.querySelector(".loading-text");
+  if (loadingText) loadingText.textContent = text;
+}
+
+function resetButton() {
+  if (runBacktestBtn) {
+    runBacktestBtn.disabled = false;
+    const btnContent = runBacktestBtn.querySelector(".btn-content");
+    const btnLoader = runBacktestBtn.querySelector(".btn-loader");
+    if (btnContent) btnContent.style.display = "flex";
+    if (btnLoader) btnLoader.style.display = "none";
+  }
+  if (loadingIndicator) loadingIndicator.style.display = "none";
+}
+
+// Initialize on page load
+function initializePage() {
+  console.log("Page loaded, initializing...");
+
+  if (!backtestForm) {
+    console.error("Backtest form not found!");
+    return;
+  }
+
+  backtestForm.addEventListener("submit", handleBacktestSubmit);
+
+  populateSymbolList();
+  updateCacheStatus();
+
+  populateStrategyControls();
+  const logicTypeSelect = document.getElementById("logic_type");
+  if (logicTypeSelect) {
+    logicTypeSelect.addEventListener("change", updateStrategyParamFields);
+  }
+
+  ["symbol", "interval"].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.addEventListener("change", updateCacheStatus);
+  });
+
+  const clearCacheBtn = document.getElementById("clearCacheBtn");
+  if (clearCacheBtn) {
+    clearCacheBtn.addEventListener("click", handleClearCache);
+  }
+
+  if (telegramForm) {
+    telegramForm.addEventListener("submit", handleTelegramSubmit);
+  }
+
+  if (startMonitorBtn) {
+    startMonitorBtn.addEventListener("click", handleStartMonitor);
+  }
+
+  if (stopMonitorBtn) {
+    stopMonitorBtn.addEventListener("click", handleStopMonitor);
+  }
+
+  if (optimizerForm) {
+    optimizerForm.addEventListener("submit", handleOptimizerSubmit);
+  }
+
+  const datePreset = document.getElementById("date_preset");
+  if (datePreset) {
+    datePreset.addEventListener("change", applyDatePreset);
+    applyDatePreset();
+  }
+
+  // Editing a date by hand switches the preset to "Custom"
+  ["start_date", "end_date"].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input && datePreset) {
+      input.addEventListener("input", () => (datePreset.value = "custom"));
+    }
+  });
+
+  const dataSource = document.getElementById("data_source");
+  if (dataSource) {
+    dataSource.addEventListener("change", updateDataSourceFields);
+    updateDataSourceFields();
+  }
+
+  populateTimezoneOptions();
+
+  const dataFile = document.getElementById("data_file");
+  if (dataFile) {
+    dataFile.addEventListener("change", handleDataFileChange);
+  }
+
+  // Changing how the file is read rebuilds the imported series
+  [
+    "timestamp_format",
+    "data_timezone",
+    ...IMPORT_FIELDS.map((field) => `map_${field}`),
+  ].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.addEventListener("change", buildImportedDataset);
+  });
+
+  if (walkForwardForm) {
+    walkForwardForm.addEventListener("submit", handleWalkForwardSubmit);
+  }
+
+  const robustnessForm = document.getElementById("robustnessForm");
+  if (robustnessForm) {
+    robustnessForm.addEventListener("submit", handleRobustnessSubmit);
+  }
+
+  const heatmapMetric = document.getElementById("heatmapMetric");
+  if (heatmapMetric) {
+    heatmapMetric.addEventListener("change", renderOptimizerHeatmap);
+  }
+
+  document.querySelectorAll("#optimizerTable th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => sortOptimizerResults(th.dataset.sort));
+  });
+
+  document.querySelectorAll("#tradeLedgerTable th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => sortTradeLedger(th.dataset.sort));
+  });
+
+  const downloadTradesBtn = document.getElementById("downloadTradesBtn");
+  if (downloadTradesBtn) {
+    downloadTradesBtn.addEventListener("click", downloadTradeLedger);
+  }
+
+  populateEvaluationProfiles("Default");
+  renderCriteriaEditor(EVALUATION_PROFILES.Default);
+  const evaluationProfile = document.getElementById("evaluation_profile");
+  if (evaluationProfile) {
+    evaluationProfile.addEventListener("change", handleProfileChange);
+  }
+  const criteriaBody = document.querySelector("#criteriaTable tbody");
+  if (criteriaBody) {
+    criteriaBody.addEventListener("change", refreshEvaluation);
+  }
+  [
+    [
+      "addCriterionBtn",
+      () => {
+        addCriterionRow(DEFAULT_EVALUATION_CRITERIA[0]);
+        refreshEvaluation();
+      },
+    ],
+    ["saveProfileBtn", handleProfileSave],
+    ["deleteProfileBtn", handleProfileDelete],
+  ].forEach(([id, handler]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener("click", handler);
+  });
+
+  const historyFilter = document.getElementById("historyFilter");
+  if (historyFilter) {
+    historyFilter.addEventListener("input", renderRunHistory);
+  }
+  const historyView = document.getElementById("historyView");
+  if (historyView) historyView.addEventListener("change", renderRunHistory);
+  document.querySelectorAll("#historyTable th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => sortRunHistory(th.dataset.sort));
+  });
+  const clearHistoryBtn = document.getElementById("clearHistoryBtn");
+  if (clearHistoryBtn) {
+    clearHistoryBtn.addEventListener("click", handleClearHistory);
+  }
+  const compareRunsBtn = document.getElementById("compareRunsBtn");
+  if (compareRunsBtn) {
+    compareRunsBtn.addEventListener("click", handleCompareRuns);
+  }
+  const copyLinkBtn = document.getElementById("copyLinkBtn");
+  if (copyLinkBtn) copyLinkBtn.addEventListener("click", handleCopyLink);
+  const resetZoomBtn = document.getElementById("resetZoomBtn");
+  if (resetZoomBtn) {
+    resetZoomBtn.addEventListener("click", resetSignalChartsZoom);
+  }
+  // Cancel buttons stop the backtest worker running the job
+  [
+    ["cancelBacktestBtn", "backtest"],
+    ["cancelOptimizerBtn", "optimize"],
+    ["cancelWalkForwardBtn", "walkForward"],
+    ["cancelRobustnessBtn", "robustness"],
+  ].forEach(([id, type]) => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener("click", () => cancelBacktestJob(type));
+  });
+
+  // A configuration link takes precedence over the last saved run
+  renderRunHistory();
+  if (!restoreSharedConfig()) restoreLastRun();
+  // Opening another link in the same tab only changes the hash
+  window.addEventListener("hashchange", () => restoreSharedConfig());
+
+  console.log("Initialization complete");
+}
+
+if (IS_WORKER) {
+  self.onmessage = handleWorkerMessage;
+} else {
+  document.addEventListener("DOMContentLoaded", initializePage);
+}
+
+async function handleBacktestSubmit(e) {
+  e.preventDefault();
+  console.log("Backtest form submitted");
+
+  // Check if monitoring is active
+  if (isMonitoring) {
+    alert("⚠️ Please stop monitoring first before running a new backtest!");
+    return;
+  }
+
+  if (metricsDisplay) metricsDisplay.style.display = "none";
+  if (errorMessage) errorMessage.style.display = "none";
+
+  // A simulation describes the previous backtest; drop it
+  cancelBacktestJob("robustness");
+  const robustnessResultsEl = document.getElementById("robustnessResults");
+  if (robustnessResultsEl) robustnessResultsEl.style.display = "none";
+  const robustnessStatusEl = document.getElementById("robustnessStatus");
+  if (robustnessStatusEl) robustnessStatusEl.style.display = "none";
+
+  setLoadingText("Fetching data...");
+  if (loadingIndicator) loadingIndicator.style.display = "block";
+  if (resultsSection) resultsSection.style.display = "block";
+
+  if (runBacktestBtn) {
+    runBacktestBtn.disabled = true;
+    const btnContent = runBacktestBtn.querySelector(".btn-content");
+    const btnLoader = runBacktestBtn.querySelector(".btn-loader");
+    if (btnContent) btnContent.style.display = "none";
+    if (btnLoader) btnLoader.style.display = "flex";
+  }
+
+  const formData = getBacktestFormData();
+
+  console.log("Form data:", formData);
+
+  const validationError = validateBacktestFormData(formData);
+  if (validationError) {
+    showError(validationError);
+    resetButton();
+    return;
+  }
+
+  const criteria = getEvaluationCriteria();
+  const criteriaError = validateEvaluationCriteria(criteria);
+  if (criteriaError) {
+    showError("Evaluation criteria: " + criteriaError);
+    resetButton();
+    return;
+  }
+
+  try {
+    const { priceData, fundingRates, warnings } =
+      await loadBacktestData(formData);
+
+    console.log("Running backtest and calculating metrics...");
+    setLoadingText("Running backtest...");
+    // Only the worker job can be cancelled, not the download before it
+    showCancelButton("cancelBacktestBtn", true);
+    const { backtestResults, metrics, trades } = await runBacktestJob(
+      "backtest",
+      {
+        interval: metricsCalculator.interval,
+        trials: getTrialCount(formData, 1),
+        priceData,
+        params: formData,
+        options: {
+          costs: buildTradingCosts(formData),
+          fundingRates: fundingRates,
+          risk: buildRiskRules(formData),
+          sizing: buildPositionSizing(formData),
+          strategyParams: formData.strategy_params,
+          zscore: buildZScoreSettings(formData),
+        },
+      },
+      (completed, total) =>
+        setLoadingText(
+          `Running backtest... ${Math.round((completed / total) * 100)}%`
+        )
+    );
+
+    recordTrials(1);
+
+    console.log("Evaluating strategy...");
+    const evaluation = evaluateMetrics(metrics, criteria);
+
+    console.log("Generating chart...");
+    generateEquityCurve(backtestResults, formData.symbol);
+    generateSignalCharts(backtestResults, formData);
+
+    const responseData = {
+      success: true,
+      metrics: metrics,
+      evaluation: evaluation,
+      data_points: priceData.length,
+      data_warnings: warnings,
+      symbol: formData.symbol,
+    };
+
+    displayResults(responseData);
+
+    tradeLedger = trades;
+    lastBacktestRun = { formData, backtestResults, metrics };
+    renderTradeLedger();
+    recordRun(formData, metrics, evaluation, priceData.length, backtestResults);
+
+    // Generate and download CSV report
+    console.log("Generating CSV report...");
+    downloadBacktestReport(backtestResults, formData);
+
+    setTimeout(() => {
+      if (resultsSection) {
+        resultsSection.scrollIntoView({ behavior: "smooth", block: "start" });
+      }
+    }, 100);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      showError("Backtest cancelled");
+      return;
+    }
+    console.error("Error:", error);
+    showError(error.message || "An error occurred. Please try again later.");
+  } finally {
+    showCancelButton("cancelBacktestBtn", false);
+    resetButton();
+  }
+}
+
+async function handleTelegramSubmit(e) {
+  e.preventDefault();
+
+  const telegramResult = document.getElementById("telegramResult");
+  if (telegramResult) telegramResult.style.display = "none";
+
+  // Disable button
+  if (testTelegramBtn) {
+    testTelegramBtn.disabled = true;
+    const btnContent = testTelegramBtn.querySelector(".btn-content");
+    const btnLoader = testTelegramBtn.querySelector(".btn-loader");
+    if (btnContent) btnContent.style.display = "none";
+    if (btnLoader) btnLoader.style.display = "flex";
+  }
+
+  const formData = {
+    token: document.getElementById("telegram_token")?.value.trim() || "",
+    chat_id: document.getElementById("telegram_chat_id")?.value.trim() || "",
+  };
+
+  // Validate inputs
+  if (!formData.token || !formData.chat_id) {
+    if (telegramResult) {
+      telegramResult.style.display = "block";
+      telegramResult.className = "result-message error-message";
+      telegramResult.textContent = "❌ Token and Chat ID are required";
+    }
+    resetTelegramButton();
+    return;
+  }
+
+  // Validate chat_id is numeric
+  if (isNaN(formData.chat_id)) {
+    if (telegramResult) {
+      telegramResult.style.display = "block";
+      telegramResult.className = "result-message error-message";
+      telegramResult.textContent = "❌ Chat ID must be numeric";
+    }
+    resetTelegramButton();
+    return;
+  }
+
+  try {
+    // Test Telegram connection
+    const notifier = new TelegramNotifier(formData.token, formData.chat_id);
+    const success = await notifier.sendTestMessage();
+
+    if (telegramResult) {
+      telegramResult.style.display = "block";
+
+      if (success) {
+        telegramResult.className = "result-message success-message";
+        telegramResult.textContent = "✅ Telegram connection test successful!";
+        // Show live monitoring section after successful test
+        if (liveMonitorSection) {
+          liveMonitorSection.style.display = "block";
+        }
+      } else {
+        telegramResult.className = "result-message error-message";
+        telegramResult.textContent =
+          "❌ Telegram connection test failed. Please check Token and Chat ID.";
+      }
+
+      // Scroll to result
+      setTimeout(() => {
+        telegramResult.scrollIntoView({ behavior: "smooth", block: "center" });
+      }, 100);
+    }
+  } catch (error) {
+    console.error("Error:", error);
+    if (telegramResult) {
+      telegramResult.style.display = "block";
+      telegramResult.className = "result-message error-message";
+      telegramResult.textContent = "❌ Error: " + error.message;
+    }
+  } finally {
+    resetTelegramButton();
+  }
+}
+
+function resetTelegramButton() {
+  if (testTelegramBtn) {
+    testTelegramBtn.disabled = false;
+    const btnContent = testTelegramBtn.querySelector(".btn-content");
+    const btnLoader = testTelegramBtn.querySelector(".btn-loader");
+    if (btnContent) btnContent.style.display = "flex";
+    if (btnLoader) btnLoader.style.display = "none";
+  }
+}
+
+// Live Monitoring Functions
+
+
+/**
+ * Check for trading signals and send notifications
+ */
+async function checkTradingSignal() {
+  try {
+    // Get current strategy parameters from form
+    const logicType = document.getElementById("logic_type")?.value || "trend";
+    const side = document.getElementById("side")?.value || "both";
+    const window = parseInt(document.getElementById("window")?.value || 190);
+    const entryThreshold = parseFloat(
+      document.getElementById("entry_threshold")?.value || 0.8
+    );
+    const exitThreshold = parseFloat(
+      document.getElementById("exit_threshold")?.value || -0.3
+    );
+    const strategy = new StrategyStateMachine(
+      logicType,
+      side,
+      entryThreshold,
+      exitThreshold,
+      getStrategyParamValues(logicType),
+      buildZScoreSettings(getBacktestFormData())
+    );
+
+    // Get Telegram credentials
+    const token = document.getElementById("telegram_token")?.value.trim();
+    const chatId = document.getElementById("telegram_chat_id")?.value.trim();
+
+    if (!token || !chatId) {
+      console.error("Telegram credentials not found");
+      return;
+    }
+
+    // Get the close timestamp of the last completed candle
+    // For example, on 1h candles at 1:34, this returns 1:00:00
+    const currentCandleTimestamp =
+      dataFetcher.getLastCandleTime(monitorTimeframe);
+
+    // Check if we have a new closed candle
+    const hasNewCandle =
+      lastCandleTimestamp === null ||
+      currentCandleTimestamp > lastCandleTimestamp;
+
+    if (!hasNewCandle && lastCandleTimestamp !== null) {
+      // Already processed this candle; no need to recalc
+      return;
+    }
+
+    // New candle detected or first check - fetch new data and calculate Z-Score
+    console.log("Calculating Z-Score for new candle...");
+
+    // Fetch recent K-line data for Z-Score calculation
+    // useLastClosedCandle=true ensures we use the last completed candle
+    // For example, on 1h candles at 1:34, we use data up to 1:00
+    // The extra warm-up candles are replayed through the strategy on start
+    const recentData = await dataFetcher.fetchRecentData(
+      monitorSymbol,
+      monitorTimeframe,
+      window + MONITOR_WARMUP_BARS,
+      true // Use last completed candle
+    );
+
+    if (recentData.length < window) {
+      console.error("Not enough data for Z-Score calculation");
+      updateMonitorStatus("Error: Not enough data", null, null, null);
+      return;
+    }
+
+    // Calculate Z-Score (and the strategy's other indicators) for the last
+    // closed data point
+    // Z-Score is based on K-line close prices, not real-time price
+    const zscoreData = strategy.computeIndicators(
+      backtestEngine,
+      recentData,
+      window
+    );
+    const lastData = zscoreData[zscoreData.length - 1];
+
+    if (!lastData || lastData.zscore === null || isNaN(lastData.zscore)) {
+      console.error("Z-Score calculation failed");
+      updateMonitorStatus(
+        "Error: Z-Score calculation failed",
+        null,
+        null,
+        null
+      );
+      return;
+    }
+
+    // Use the close price from the last closed K-line (not real-time price)
+    // This ensures Z-Score and price are from the same candle
+    const currentPrice = lastData.close; // K-line close price
+    const currentZScore = lastData.zscore; // Z-Score based on closed candles
+
+    // Update the last candle timestamp
+    lastCandleTimestamp = currentCandleTimestamp;
+
+    // Update UI with new candle data
+    // Format: "12/8/2025, 1:15 AM" (candle close time)
+    const hourDate = new Date(currentCandleTimestamp);
+    const datePart = hourDate.toLocaleDateString("en-US", {
+      month: "numeric",
+      day: "numeric",
+      year: "numeric",
+    });
+    const hour = hourDate.getHours();
+    const minute = hourDate.getMinutes().toString().padStart(2, "0");
+    const ampm = hour >= 12 ? "PM" : "AM";
+    const hour12 = hour % 12 || 12; // Convert to 12-hour format
+    const formattedDateTime = `${datePart}, ${hour12}:${minute} ${ampm}`;
+    const hourLabel = `${hour.toString().padStart(2, "0")}:${minute}`;
+
+    const year = hourDate.getFullYear();
+    const month = String(hourDate.getMonth() + 1).padStart(2, "0");
+    const day = String(hourDate.getDate()).padStart(2, "0");
+    const dateLabel = `${year}-${month}-${day}`;
+    updateMonitorStatus(
+      `Monitoring`,
+      currentPrice,
+      currentZScore,
+      formattedDateTime
+    );
+
+    // Feed every candle not seen yet to the same state machine and exit
+    // rules the backtest uses; on the first check this replays the warm-up
+    // history from flat
+    const positionNames = { 1: "long", 0: "none", "-1": "short" };
+    const risk = {
+      ...DEFAULT_RISK_RULES,
+      ...buildRiskRules(getBacktestFormData()),
+    };
+    const atr = backtestEngine.calculateAtr(zscoreData, risk.atrPeriod);
+    if (!monitorRiskState) {
+      monitorRiskState = backtestEngine.createRiskState();
+    }
+    strategy.reset(monitorSignalPosition);
+    zscoreData.forEach((item, index) => {
+      if (lastMonitorBarTime !== null && item.time <= lastMonitorBarTime) {
+        return;
+      }
+      backtestEngine.stepRiskRules(
+        monitorRiskState,
+        { ...item, atr: atr[index], pos: strategy.step(item) },
+        index > 0 ? zscoreData[index - 1].close : null,
+        risk
+      );
+    });
+    monitorSignalPosition = strategy.position;
+    lastMonitorBarTime = lastData.time;
+
+    let signalType = null;
+    let actionLabel = "No position (no new signal)";
+    const nextPosition = positionNames[monitorRiskState.held];
+
+    // Determine signal if position changed
+    if (nextPosition !== currentPosition) {
+      if (currentPosition === "long" && nextPosition === "none") {
+        signalType = "exit_long";
+      } else if (currentPosition === "short" && nextPosition === "none") {
+        signalType = "exit_short";
+      } else if (nextPosition === "long") {
+        signalType = "entry_long";
+      } else if (nextPosition === "short") {
+        signalType = "entry_short";
+      }
+    }
+
+    // Human-readable action label
+    if (nextPosition === "long" && currentPosition !== "long") {
+      actionLabel = "Enter Long";
+    } else if (nextPosition === "short" && currentPosition !== "short") {
+      actionLabel = "Enter Short";
+    } else if (currentPosition === "long" && nextPosition === "none") {
+      actionLabel = "Close Long";
+    } else if (currentPosition === "short" && nextPosition === "none") {
+      actionLabel = "Close Short";
+    } else if (nextPosition === "long") {
+      actionLabel = "Hold Long";
+    } else if (nextPosition === "short") {
+      actionLabel = "Hold Short";
+    } else {
+      actionLabel = "No position (no new signal)";
+    }
+
+    currentPosition = nextPosition;
+
+    // Always send a per-candle update (even without signal)
+    const notifier = new TelegramNotifier(token, chatId);
+
+    const hourlySent = await notifier.sendHourlyUpdate(
+      hourLabel,
+      currentZScore,
+      currentPrice,
+      currentPosition,
+      window,
+      entryThreshold,
+      exitThreshold,
+      dateLabel,
+      logicType,
+      side,
+      monitorSymbol,
+      getIntervalLabel(monitorTimeframe)
+    );
+
+    if (hourlySent && signalType) {
+      console.log(`Signal sent in candle update: ${signalType}`);
+    } else if (!hourlySent) {
+      console.warn("Candle update Telegram message failed to send");
+      updateMonitorStatus(
+        "Warning: failed to send Telegram message (check token/chat ID).",
+        currentPrice,
+        currentZScore,
+        formattedDateTime
+      );
+    }
+  } catch (error) {
+    console.error("Error checking trading signal:", error);
+    updateMonitorStatus("Error: " + error.message, null, null, null);
+  }
+}
+
+/**
+ * Update monitor status display
+ * @param {string} status - Status text
+ * @param {number} price - Current price
+ * @param {number} zscore - Current Z-Score
+ * @param {string} dataDateTime - Date and time of the data source (e.g., "12/8/2025, 1:00 AM")
+ */
+function updateMonitorStatus(status, price, zscore, dataDateTime = null) {
+  const statusText = document.getElementById("monitorStatusText");
+  const lastCheckTime = document.getElementById("lastCheckTime");
+  const currentPriceEl = document.getElementById("currentPrice");
+  const currentZScoreEl = document.getElementById("currentZScore");
+
+  if (statusText) {
+    statusText.textContent = status;
+  }
+
+  // Display the data source time (candle close time), not current time
+  if (lastCheckTime) {
+    if (dataDateTime) {
+      lastCheckTime.textContent = dataDateTime;
+    } else {
+      // Fallback to current time if no data time provided
+      const now = new Date();
+      lastCheckTime.textContent = now.toLocaleString();
+    }
+  }
+
+  if (currentPriceEl) {
+    if (price !== null && !isNaN(price)) {
+      currentPriceEl.textContent = `$${price.toLocaleString("en-US", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })}`;
+    } else {
+      currentPriceEl.textContent = "-";
+    }
+  }
+
+  if (currentZScoreEl) {
+    if (zscore !== null && !isNaN(zscore)) {
+      currentZScoreEl.textContent = zscore.toFixed(2);
+    } else {
+      currentZScoreEl.textContent = "-";
+    }
+  }
+}
+
+/**
+ * Start live monitoring
+ */
+async function handleStartMonitor() {
+  const token = document.getElementById("telegram_token")?.value.trim();
+  const chatId = document.getElementById("telegram_chat_id")?.value.trim();
+
+  if (!token || !chatId) {
+    alert("Please configure Telegram Bot Token and Chat ID first!");
+    return;
+  }
+
+  if (isMonitoring) return;
+
+  const { symbol, interval } = getMarketSelection();
+  if (!/^[A-Z0-9]{2,30}$/.test(symbol)) {
+    alert("Please enter a valid symbol (e.g. BTCUSDT) first!");
+    return;
+  }
+
+  isMonitoring = true;
+  lastCandleTimestamp = null;
+  lastMonitorBarTime = null;
+  monitorSignalPosition = 0;
+  monitorRiskState = null;
+  currentPosition = "none";
+  monitorSymbol = symbol;
+  monitorTimeframe = interval;
+
+  const monitorSymbolEl = document.getElementById("monitorSymbol");
+  if (monitorSymbolEl) {
+    monitorSymbolEl.textContent = `${monitorSymbol} (${getIntervalLabel(
+      monitorTimeframe
+    )})`;
+  }
+
+  if (startMonitorBtn) startMonitorBtn.style.display = "none";
+  if (stopMonitorBtn) stopMonitorBtn.style.display = "inline-flex";
+
+  const monitorStatus = document.getElementById("monitorStatus");
+  if (monitorStatus) {
+    monitorStatus.style.display = "block";
+    monitorStatus.className = "result-message success-message";
+    monitorStatus.textContent = `🟢 Monitoring ${monitorSymbol} started. Z-Score is calculated at every ${getIntervalLabel(monitorTimeframe)} candle close...`;
+  }
+  // 🔔 Show monitoring warning
+  const monitorWarning = document.getElementById("monitorWarning");
+  if (monitorWarning) {
+    monitorWarning.style.display = "block";
+  }
+
+  // Run immediately
+  await checkTradingSignal();
+
+  // Check every 10s for a new candle close on the monitored timeframe
+  let lastCandleClose = dataFetcher.getLastCandleTime(monitorTimeframe);
+
+  monitorInterval = setInterval(async () => {
+    if (!isMonitoring) return;
+
+    const candleClose = dataFetcher.getLastCandleTime(monitorTimeframe);
+
+    // detect candle close
+    if (candleClose !== lastCandleClose) {
+      lastCandleClose = candleClose;
+      console.log(
+        `⏰ ${getIntervalLabel(monitorTimeframe)} candle closed → refreshing trading signal`
+      );
+      await checkTradingSignal();
+    }
+  }, 10000); // check every 10 sec
+}
+
+/**
+ * Stop live monitoring
+ */
+function handleStopMonitor() {
+  if (!isMonitoring) {
+    return;
+  }
+
+  isMonitoring = false;
+  lastCandleTimestamp = null; // Reset candle timestamp
+
+  // Clear interval
+  if (monitorInterval) {
+    clearInterval(monitorInterval);
+    monitorInterval = null;
+  }
+
+  // Update UI
+  if (startMonitorBtn) startMonitorBtn.style.display = "inline-flex";
+  if (stopMonitorBtn) stopMonitorBtn.style.display = "none";
+  const monitorWarning = document.getElementById("monitorWarning");
+  if (monitorWarning) monitorWarning.style.display = "none";
+
+  const monitorStatus = document.getElementById("monitorStatus");
+  if (monitorStatus) {
+    monitorStatus.style.display = "block";
+    monitorStatus.className = "result-message error-message";
+    monitorStatus.textContent = "⏹️ Monitoring stopped.";
+  }
+
+  updateMonitorStatus("Not monitoring", null, null);
+  currentPosition = "none";
+  lastMonitorBarTime = null;
+  monitorSignalPosition = 0;
+  monitorRiskState = null;
+
+  const monitorSymbolEl = document.getElementById("monitorSymbol");
+  if (monitorSymbolEl) monitorSymbolEl.textContent = "-";
+
+  console.log("Live monitoring stopped");
+}
+
+// Parameter Optimizer Functions
+
+/**
+ * Read parameter ranges from the optimizer form
+ * @returns {Object} Ranges for ParameterOptimizer.generateGrid
+ */
+function getOptimizerRanges() {
+  const readNumber = (id) => parseFloat(document.getElementById(id)?.value);
+  const readChecked = (name) =>
+    Array.from(
+      document.querySelectorAll(`#optimizerForm input[name="${name}"]:checked`)
+    ).map((input) => input.value);
+
+  return {
+    windows: parameterOptimizer
+      .buildRange(
+        readNumber("opt_window_min"),
+        readNumber("opt_window_max"),
+        readNumber("opt_window_step")
+      )
+      .map((value) => Math.round(value)),
+    entryThresholds: parameterOptimizer.buildRange(
+      readNumber("opt_entry_min"),
+      readNumber("opt_entry_max"),
+      readNumber("opt_entry_step")
+    ),
+    exitThresholds: parameterOptimizer.buildRange(
+      readNumber("opt_exit_min"),
+      readNumber("opt_exit_max"),
+      readNumber("opt_exit_step")
+    ),
+    logicTypes: readChecked("opt_logic_type"),
+    sides: readChecked("opt_side"),
+    strategyParams: Object.fromEntries(
+      Object.keys(STRATEGIES).map((id) => [id, getStrategyParamValues(id)])
+    ),
+  };
+}
+
+/**
+ * Validate optimizer ranges against the single-backtest limits
+ * @param {Object} ranges - Ranges from getOptimizerRanges
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateOptimizerRanges(ranges) {
+  if (ranges.windows.length === 0) {
+    return "Window range is empty (check min, max and step)";
+  }
+  if (ranges.windows.some((w) => w <= 0 || w > 1000)) {
+    return "Window sizes must be between 1 and 1000";
+  }
+  if (ranges.entryThresholds.length === 0) {
+    return "Entry threshold range is empty (check min, max and step)";
+  }
+  if (ranges.entryThresholds.some((t) => t <= 0 || t > 5)) {
+    return "Entry thresholds must be between 0 and 5";
+  }
+  if (ranges.exitThresholds.length === 0) {
+    return "Exit threshold range is empty (check min, max and step)";
+  }
+  if (ranges.exitThresholds.some((t) => t >= 0 || t < -5)) {
+    return "Exit thresholds must be between -5 and 0";
+  }
+  if (ranges.logicTypes.length === 0) {
+    return "Select at least one strategy type";
+  }
+  if (ranges.sides.length === 0) {
+    return "Select at least one trading side";
+  }
+  return null;
+}
+
+/**
+ * Sort the trade ledger by a column, toggling direction on repeat clicks
+ * @param {string} key - Trade field name
+ */
+function sortTradeLedger(key) {
+  if (tradeSort.key === key) {
+    tradeSort.ascending = !tradeSort.ascending;
+  } else {
+    tradeSort = { key, ascending: true };
+  }
+  renderTradeLedger();
+}
+
+/**
+ * Render the trade ledger table in the current sort order
+ */
+function renderTradeLedger() {
+  const tbody = document.querySelector("#tradeLedgerTable tbody");
+  if (!tbody) return;
+
+  const { key, ascending } = tradeSort;
+  const sorted = [...tradeLedger].sort((a, b) => {
+    if (a[key] < b[key]) return ascending ? -1 : 1;
+    if (a[key] > b[key]) return ascending ? 1 : -1;
+    return 0;
+  });
+
+  document.querySelectorAll("#tradeLedgerTable th[data-sort]").forEach((th) => {
+    th.classList.toggle("sorted", th.dataset.sort === key);
+    th.classList.toggle("sorted-asc", th.dataset.sort === key && ascending);
+  });
+
+  tbody.innerHTML = "";
+  for (const trade of sorted) {
+    const tr = document.createElement("tr");
+    const cells = [
+      formatUtcTime(trade.entryTime),
+      formatUtcTime(trade.exitTime),
+      trade.side,
+      formatNumber(trade.entryPrice, 2),
+      formatNumber(trade.exitPrice, 2),
+      formatNumber(trade.size, 2),
+      trade.bars.toLocaleString(),
+      formatNumber(trade.priceChange * 100, 2) + "%",
+      formatNumber(trade.return * 100, 2) + "%",
+      formatNumber(trade.mae * 100, 2) + "%",
+      formatNumber(trade.mfe * 100, 2) + "%",
+      trade.exitReason,
+    ];
+    for (const value of cells) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+/**
+ * Show a status line in a result-message element
+ * @param {string} elementId - Status element id
+ * @param {string} message - Text to display
+ * @param {string} className - Classes, e.g. "result-message error-message"
+ */
+function showStatus(elementId, message, className = "result-message") {
+  const statusEl = document.getElementById(elementId);
+  if (statusEl) {
+    statusEl.style.display = "block";
+    statusEl.className = className;
+    statusEl.textContent = message;
+  }
+}
+
+function setButtonLoading(button, isLoading) {
+  if (button) {
+    button.disabled = isLoading;
+    const btnContent = button.querySelector(".btn-content");
+    const btnLoader = button.querySelector(".btn-loader");
+    if (btnContent) btnContent.style.display = isLoading ? "none" : "flex";
+    if (btnLoader) btnLoader.style.display = isLoading ? "flex" : "none";
+  }
+}
+
+/**
+ * Show or hide the cancel button of a long-running job
+ * @param {string} id - Cancel button id
+ * @param {boolean} visible - Whether the job is running
+ */
+function showCancelButton(id, visible) {
+  const button = document.getElementById(id);
+  if (button) button.style.display = visible ? "inline-flex" : "none";
+}
+
+async function handleOptimizerSubmit(e) {
+  e.preventDefault();
+  console.log("Optimizer form submitted");
+
+  if (isMonitoring) {
+    alert("⚠️ Please stop monitoring first before running the optimizer!");
+    return;
+  }
+
+  const formData = getBacktestFormData();
+  const validationError = validateBacktestFormData(formData);
+  if (validationError) {
+    showStatus(
+      "optimizerStatus",
+      "❌ " + validationError,
+      "result-message error-message"
+    );
+    return;
+  }
+
+  const ranges = getOptimizerRanges();
+  const rangeError = validateOptimizerRanges(ranges);
+  if (rangeError) {
+    showStatus(
+      "optimizerStatus",
+      "❌ " + rangeError,
+      "result-message error-message"
+    );
+    return;
+  }
+
+  const grid = parameterOptimizer.generateGrid(ranges);
+  if (grid.length > MAX_OPTIMIZER_COMBINATIONS) {
+    showStatus(
+      "optimizerStatus",
+      `❌ ${grid.length.toLocaleString()} combinations requested; the limit is ${MAX_OPTIMIZER_COMBINATIONS.toLocaleString()}. Narrow the ranges or increase the steps.`,
+      "result-message error-message"
+    );
+    return;
+  }
+
+  const optimizerResultsEl = document.getElementById("optimizerResults");
+  if (optimizerResultsEl) optimizerResultsEl.style.display = "none";
+  setButtonLoading(runOptimizerBtn, true);
+
+  try {
+    showStatus("optimizerStatus", "⏳ Fetching data...");
+    const { priceData, fundingRates, warnings } =
+      await loadBacktestData(formData);
+    showCancelButton("cancelOptimizerBtn", true);
+
+    optimizerResults = await runBacktestJob(
+      "optimize",
+      {
+        interval: metricsCalculator.interval,
+        trials: getTrialCount(formData, grid.length),
+        priceData,
+        grid,
+        options: {
+          costs: buildTradingCosts(formData),
+          fundingRates: fundingRates,
+          risk: buildRiskRules(formData),
+          sizing: buildPositionSizing(formData),
+          zscore: buildZScoreSettings(formData),
+        },
+      },
+      (completed, total) => {
+        showStatus(
+          "optimizerStatus",
+          `⏳ Running backtests... ${completed} / ${total} combinations`
+        );
+      }
+    );
+
+    recordTrials(grid.length);
+
+    showStatus(
+      "optimizerStatus",
+      `✅ Tested ${optimizerResults.length} combinations on ${priceData.length.toLocaleString()} data points` +
+        describeDataWarnings(warnings),
+      "result-message success-message"
+    );
+
+    renderOptimizerTable();
+    renderOptimizerHeatmap();
+    if (optimizerResultsEl) optimizerResultsEl.style.display = "block";
+  } catch (error) {
+    if (error.name === "AbortError") {
+      showStatus(
+        "optimizerStatus",
+        "⏹️ Optimizer cancelled",
+        "result-message error-message"
+      );
+      return;
+    }
+    console.error("Error:", error);
+    showStatus(
+      "optimizerStatus",
+      "❌ " + (error.message || "An error occurred. Please try again later."),
+      "result-message error-message"
+    );
+  } finally {
+    setButtonLoading(runOptimizerBtn, false);
+    showCancelButton("cancelOptimizerBtn", false);
+  }
+}
+
+/**
+ * Sort optimizer results by a column, toggling direction on repeat clicks
+ * @param {string} key - Parameter field name or metric name
+ */
+function sortOptimizerResults(key) {
+  if (optimizerSort.key === key) {
+    optimizerSort.ascending = !optimizerSort.ascending;
+  } else {
+    optimizerSort = { key, ascending: false };
+  }
+  renderOptimizerTable();
+}
+
+function renderOptimizerTable() {
+  const tbody = document.querySelector("#optimizerTable tbody");
+  if (!tbody) return;
+
+  const { key, ascending } = optimizerSort;
+  const valueOf = (result) =>
+    key in result.metrics ? result.metrics[key] : result[key];
+
+  const sorted = [...optimizerResults].sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    // NaN metrics always sort last
+    if (typeof va === "number" && isNaN(va)) return 1;
+    if (typeof vb === "number" && isNaN(vb)) return -1;
+    if (va < vb) return ascending ? -1 : 1;
+    if (va > vb) return ascending ? 1 : -1;
+    return 0;
+  });
+
+  document.querySelectorAll("#optimizerTable th[data-sort]").forEach((th) => {
+    th.classList.toggle("sorted", th.dataset.sort === key);
+    th.classList.toggle("sorted-asc", th.dataset.sort === key && ascending);
+  });
+
+  tbody.innerHTML = "";
+  for (const result of sorted) {
+    const tr = document.createElement("tr");
+    const cells = [
+      result.logic_type,
+      result.side,
+      result.window,
+      result.entry_threshold,
+      result.exit_threshold,
+      formatNumber(result.metrics["Sharpe Ratio"]),
+      isNaN(result.metrics["Deflated Sharpe %"])
+        ? "N/A"
+        : formatNumber(result.metrics["Deflated Sharpe %"], 1) + "%",
+      formatNumber(result.metrics["Calmar Ratio"]),
+      formatNumber(result.metrics["Max Drawdown"], 4),
+      formatNumber(result.metrics["Total Return"], 4),
+      result.metrics["Number of Trades"].toLocaleString(),
+    ];
+    for (const value of cells) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+
+    const actionTd = document.createElement("td");
+    const loadBtn = document.createElement("button");
+    loadBtn.type = "button";
+    loadBtn.className = "btn btn-secondary btn-small";
+    loadBtn.textContent = "Load";
+    loadBtn.addEventListener("click", () => loadParametersIntoForm(result));
+    actionTd.appendChild(loadBtn);
+    tr.appendChild(actionTd);
+
+    tbody.appendChild(tr);
+  }
+}
+
+function renderOptimizerHeatmap() {
+  const heatmapEl = document.getElementById("optimizerHeatmap");
+  if (!heatmapEl || optimizerResults.length === 0) return;
+
+  const metricKey =
+    document.getElementById("heatmapMetric")?.value || "Sharpe Ratio";
+  const { windows, entryThresholds, cells } = parameterOptimizer.buildHeatmap(
+    optimizerResults,
+    metricKey
+  );
+
+  const values = Object.values(cells);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  const table = document.createElement("table");
+  table.className = "heatmap-table";
+
+  const headerRow = document.createElement("tr");
+  const corner = document.createElement("th");
+  corner.textContent = "Window \\ Entry";
+  headerRow.appendChild(corner);
+  for (const entryThreshold of entryThresholds) {
+    const th = document.createElement("th");
+    th.textContent = entryThreshold;
+    headerRow.appendChild(th);
+  }
+  table.appendChild(headerRow);
+
+  for (const window of windows) {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = window;
+    tr.appendChild(th);
+
+    for (const entryThreshold of entryThresholds) {
+      const td = document.createElement("td");
+      const value = cells[`${window}|${entryThreshold}`];
+      if (value === undefined) {
+        td.textContent = "N/A";
+        td.className = "heatmap-empty";
+      } else {
+        // Red (worst) to green (best) across the visible range
+        const ratio = max > min ? (value - min) / (max - min) : 1;
+        td.style.background = `hsla(${Math.round(ratio * 120)}, 65%, 40%, 0.85)`;
+        td.textContent = formatNumber(value);
+        td.title = `Window ${window}, Entry ${entryThreshold}: ${metricKey} ${formatNumber(value, 4)}`;
+      }
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+
+  heatmapEl.innerHTML = "";
+  heatmapEl.appendChild(table);
+}
+
+/**
+ * Copy a parameter set into the backtest form
+ * @param {Object} params - Object with logic_type, side, window, thresholds and strategy_params
+ */
+function loadParametersIntoForm(params) {
+  const fields = [
+    "logic_type",
+    "side",
+    "window",
+    "entry_threshold",
+    "exit_threshold",
+  ];
+  for (const field of fields) {
+    const input = document.getElementById(field);
+    if (input && params[field] !== undefined) {
+      input.value = params[field];
+    }
+  }
+  for (const [key, value] of Object.entries(params.strategy_params || {})) {
+    const input = document.getElementById(
+      `strategy_${params.logic_type}_${key}`
+    );
+    if (input) input.value = value;
+  }
+  updateStrategyParamFields();
+
+  const inputSection = document.getElementById("inputSection");
+  if (inputSection) {
+    inputSection.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+}
+
+// Walk-Forward Functions
+
+async function handleWalkForwardSubmit(e) {
+  e.preventDefault();
+  console.log("Walk-forward form submitted");
+
+  if (isMonitoring) {
+    alert("⚠️ Please stop monitoring first before running walk-forward!");
+    return;
+  }
+
+  const formData = getBacktestFormData();
+  const validationError = validateBacktestFormData(formData);
+  if (validationError) {
+    showStatus(
+      "walkForwardStatus",
+      "❌ " + validationError,
+      "result-message error-message"
+    );
+    return;
+  }
 
-    let emoji = "⚪";
-    let action = "Unknown Signal";
-    let reason = "Unknown reason";
+  const ranges = getOptimizerRanges();
+  const rangeError = validateOptimizerRanges(ranges);
+  if (rangeError) {
+    showStatus(
+      "walkForwardStatus",
+      "❌ Optimizer ranges: " + rangeError,
+      "result-message error-message"
+    );
+    return;
+  }
 
-    if (signalType === "entry_long") {
-      emoji = "🟢";
-      action = "Long Entry Signal";
-      reason = `Z-Score (${zscore.toFixed(
-        2
-      )}) >= ${entryThreshold} (price above mean)`;
-    } else if (signalType === "entry_short") {
-      emoji = "🔴";
-      action = "Short Entry Signal";
-      reason = `Z-Score (${zscore.toFixed(
-        2
-      )}) <= ${exitThreshold} (price below mean)`;
-    } else if (signalType === "exit_long") {
-      emoji = "🟡";
-      action = "Long Exit Signal";
-      reason = `Z-Score (${zscore.toFixed(
-        2
-      )}) <= ${exitThreshold} (price returning to mean)`;
-    } else if (signalType === "exit_short") {
-      emoji = "🟡";
-      action = "Short Exit Signal";
-      reason = `Z-Score (${zscore.toFixed(
-        2
-      )}) >= ${entryThreshold} (price returning to mean)`;
-    }
+  const trainDays = parseInt(document.getElementById("wf_train_days")?.value);
+  const testDays = parseInt(document.getElementById("wf_test_days")?.value);
+  const selectionMetric =
+    document.getElementById("wf_metric")?.value || "Sharpe Ratio";
 
-    const message =
-      `${emoji} <b>${action}</b>\n\n` +
-      `💰 Price: $${price.toLocaleString("en-US", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      })}\n` +
-      `📊 Z-Score: ${zscore.toFixed(2)}\n` +
-      `📈 Reason: ${reason}\n` +
-      `⏰ Time: ${timestamp}`;
+  if (isNaN(trainDays) || isNaN(testDays) || trainDays <= 0 || testDays <= 0) {
+    showStatus(
+      "walkForwardStatus",
+      "❌ Train and test lengths must be positive numbers of days",
+      "result-message error-message"
+    );
+    return;
+  }
 
-    return await this.sendMessage(message);
+  const grid = parameterOptimizer.generateGrid(ranges);
+  if (grid.length > MAX_OPTIMIZER_COMBINATIONS) {
+    showStatus(
+      "walkForwardStatus",
+      `❌ ${grid.length.toLocaleString()} combinations per fold; the limit is ${MAX_OPTIMIZER_COMBINATIONS.toLocaleString()}. Narrow the optimizer ranges.`,
+      "result-message error-message"
+    );
+    return;
   }
 
-  /**
-   * Send hourly monitoring status (always sent once per hour)
-   * @param {string} timeLabel - Hour label like "02:00"
-   * @param {number} zscore - Current Z-Score
-   * @param {number} price - Last hourly close price
-   * @param {string} actionLabel - Action description (enter/exit/hold/none)
-   * @param {"long"|"short"|"none"} positionLabel - Current position after evaluation
-   * @param {string|null} signalType - Optional signal that fired this hour
-   * @returns {Promise<boolean>}
-   */
-  /**
-   * Send hourly monitoring summary (no separate signal message)
-   */
-  async sendHourlyUpdate(
-    timeLabel,
-    zscore,
-    price,
-    positionLabel,
-    windowSize,
-    entryThreshold,
-    exitThreshold,
-    dateLabel,
-    strategyLogic,
-    strategySide
-  ) {
-    const priceText =
-      price !== null && !isNaN(price)
-        ? `$${price.toLocaleString("en-US", {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2,
-          })}`
-        : "N/A";
+  const walkForwardResultsEl = document.getElementById("walkForwardResults");
+  if (walkForwardResultsEl) walkForwardResultsEl.style.display = "none";
+  setButtonLoading(runWalkForwardBtn, true);
 
-    const positionText =
-      positionLabel === "long"
-        ? "Long"
-        : positionLabel === "short"
-        ? "Short"
-        : "Flat";
+  try {
+    showStatus("walkForwardStatus", "⏳ Fetching data...");
+    const { priceData, fundingRates, warnings } =
+      await loadBacktestData(formData);
+    showCancelButton("cancelWalkForwardBtn", true);
 
-    let zCompareText = "";
-    if (positionLabel === "long") {
-      zCompareText = `${zscore.toFixed(2)} ${
-        zscore > entryThreshold ? ">" : "<"
-      } ${entryThreshold}`;
-    } else if (positionLabel === "short") {
-      zCompareText = `${zscore.toFixed(2)} ${
-        zscore < exitThreshold ? "<" : ">"
-      } ${exitThreshold}`;
-    } else {
-      zCompareText = zscore.toFixed(2);
+    const result = await runBacktestJob(
+      "walkForward",
+      {
+        interval: metricsCalculator.interval,
+        trials: getTrialCount(formData, grid.length),
+        priceData,
+        grid,
+        settings: {
+          trainMs: trainDays * 24 * 3600 * 1000,
+          testMs: testDays * 24 * 3600 * 1000,
+          selectionMetric: selectionMetric,
+          options: {
+            costs: buildTradingCosts(formData),
+            fundingRates: fundingRates,
+            risk: buildRiskRules(formData),
+            sizing: buildPositionSizing(formData),
+            zscore: buildZScoreSettings(formData),
+          },
+        },
+      },
+      (completed, total) => {
+        showStatus(
+          "walkForwardStatus",
+          `⏳ Optimizing fold ${completed} / ${total} (${grid.length} combinations each)...`
+        );
+      }
+    );
+
+    // Every fold re-tests the same parameter sets, so the session gains
+    // grid.length trials, as the deflated Sharpe above assumed
+    recordTrials(grid.length);
+
+    showStatus(
+      "walkForwardStatus",
+      `✅ Completed ${result.folds.length} folds` +
+        describeDataWarnings(warnings),
+      "result-message success-message"
+    );
+
+    renderWalkForwardSummary(result);
+    renderWalkForwardFolds(result.folds);
+    if (walkForwardResultsEl) walkForwardResultsEl.style.display = "block";
+    generateWalkForwardChart(result.outOfSampleRows);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      showStatus(
+        "walkForwardStatus",
+        "⏹️ Walk-forward cancelled",
+        "result-message error-message"
+      );
+      return;
     }
+    console.error("Error:", error);
+    showStatus(
+      "walkForwardStatus",
+      "❌ " + (error.message || "An error occurred. Please try again later."),
+      "result-message error-message"
+    );
+  } finally {
+    setButtonLoading(runWalkForwardBtn, false);
+    showCancelButton("cancelWalkForwardBtn", false);
+  }
+}
 
-    const message =
-      `⏰ Hourly Monitor ${timeLabel} (${dateLabel})\n` +
-      `💰 Price: ${priceText}\n` +
-      `📚 Strategy: ${strategyLogic} ${strategySide}\n` +
-      `🪟 Window: ${windowSize}\n` +
-      `📏 Thresholds — Entry: ${entryThreshold}, Exit: ${exitThreshold}\n` +
-      `📊 Z-Score: ${zCompareText}\n` +
-      `📌 Position: ${positionText}`;
+function renderWalkForwardSummary(result) {
+  const tbody = document.querySelector("#walkForwardSummary tbody");
+  if (!tbody) return;
+
+  const rows = [
+    ["Sharpe Ratio", 2],
+    ["Calmar Ratio", 2],
+    ["Max Drawdown", 4],
+    ["Annualized Return", 4],
+  ];
+
+  tbody.innerHTML = "";
+  for (const [key, decimals] of rows) {
+    const tr = document.createElement("tr");
+    for (const value of [
+      key,
+      formatNumber(result.inSampleMetrics[key], decimals),
+      formatNumber(result.outOfSampleMetrics[key], decimals),
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
 
-    return await this.sendMessage(message);
+  // Share of in-sample annualized return retained out of sample
+  const efficiencyEl = document.getElementById("walkForwardEfficiency");
+  if (efficiencyEl) {
+    const inSample = result.inSampleMetrics["Annualized Return"];
+    const outOfSample = result.outOfSampleMetrics["Annualized Return"];
+    efficiencyEl.textContent =
+      inSample > 0
+        ? formatNumber((outOfSample / inSample) * 100, 1) + "%"
+        : "N/A";
+  }
+
+  const periodEl = document.getElementById("walkForwardPeriod");
+  if (periodEl) {
+    const metrics = result.outOfSampleMetrics;
+    periodEl.textContent = `${metrics["Start Date"]} to ${metrics["End Date"]} (${metrics["Period (days)"]} days out of sample)`;
   }
 }
 
-// Chart Generator
+function renderWalkForwardFolds(folds) {
+  const tbody = document.querySelector("#walkForwardFolds tbody");
+  if (!tbody) return;
+
+  const formatDate = (time) => new Date(time).toISOString().substring(0, 10);
+
+  tbody.innerHTML = "";
+  for (const fold of folds) {
+    const tr = document.createElement("tr");
+    const cells = [
+      fold.fold,
+      `${formatDate(fold.trainStart)} → ${formatDate(fold.testStart)}`,
+      `${formatDate(fold.testStart)} → ${formatDate(fold.testEnd)}`,
+      `${fold.params.logic_type} ${fold.params.side} ${fold.params.window} / ${fold.params.entry_threshold} / ${fold.params.exit_threshold}`,
+      formatNumber(fold.inSampleMetrics["Sharpe Ratio"]),
+      formatNumber(fold.outOfSampleMetrics["Sharpe Ratio"]),
+      formatNumber(fold.inSampleMetrics["Total Return"], 4),
+      formatNumber(fold.outOfSampleMetrics["Total Return"], 4),
+    ];
+    for (const value of cells) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
 
-function generateEquityCurve(data) {
-  const canvas = document.getElementById("equityCurveChart");
+function generateWalkForwardChart(rows) {
+  const canvas = document.getElementById("walkForwardChart");
   if (!canvas) {
     console.error("Canvas element not found");
     return;
@@ -673,27 +6586,22 @@ function generateEquityCurve(data) {
 
   const ctx = canvas.getContext("2d");
 
-  if (equityChart) {
-    equityChart.destroy();
+  if (walkForwardChart) {
+    walkForwardChart.destroy();
   }
 
-  const labels = data.map((item) => {
-    const date = new Date(item.time);
-    return date.toLocaleDateString();
-  });
-  const cumulativePnl = data.map((item) => item.cumulativePnl);
-
-  equityChart = new Chart(ctx, {
+  walkForwardChart = new Chart(ctx, {
     type: "line",
     data: {
-      labels: labels,
+      labels: rows.map((item) => new Date(item.time).toLocaleDateString()),
       datasets: [
         {
-          label: "Equity Curve",
-          data: cumulativePnl,
-          borderColor: "#2563eb",
-          backgroundColor: "rgba(37, 99, 235, 0.1)",
+          label: "Out-of-Sample Equity",
+          data: rows.map((item) => item.cumulativePnl),
+          borderColor: "#2ea043",
+          backgroundColor: "rgba(46, 160, 67, 0.1)",
           borderWidth: 1.5,
+          pointRadius: 0,
           fill: false,
           tension: 0.1,
         },
@@ -705,7 +6613,7 @@ function generateEquityCurve(data) {
       plugins: {
         title: {
           display: true,
-          text: "Equity Curve",
+          text: "Stitched Out-of-Sample Equity Curve",
           font: {
             size: 14,
             weight: "bold",
@@ -727,862 +6635,1677 @@ function generateEquityCurve(data) {
             display: true,
             text: "Cumulative PnL",
           },
-          grid: {
-            color: "rgba(0, 0, 0, 0.1)",
-          },
         },
       },
     },
   });
 }
 
-// Main Application Logic
-
-const dataFetcher = new DataFetcher();
-const backtestEngine = new BacktestEngine();
-const metricsCalculator = new MetricsCalculator("1h");
-const strategyEvaluator = new StrategyEvaluator();
+// Robustness Functions
 
-function formatNumber(value, decimals = 2) {
-  if (value === null || value === undefined || isNaN(value)) {
-    return "N/A";
-  }
-  return Number(value).toLocaleString("en-US", {
-    minimumFractionDigits: decimals,
-    maximumFractionDigits: decimals,
-  });
-}
+/**
+ * Returns fed to the Monte Carlo for the selected resampling method
+ * @param {string} method - "trades" or "blocks"
+ * @returns {{returns: Array<number>, periodsPerYear: number}}
+ */
+function getRobustnessReturns(method) {
+  const rows = lastBacktestRun.backtestResults.filter(
+    (item) => item.pnl !== null && !isNaN(item.pnl)
+  );
 
-function showError(message) {
-  if (errorMessage) {
-    errorMessage.textContent = "❌ " + message;
-    errorMessage.style.display = "block";
+  if (method === "blocks") {
+    return {
+      returns: rows.map((item) => item.pnl),
+      periodsPerYear: metricsCalculator.annualizer,
+    };
   }
-  if (loadingIndicator) loadingIndicator.style.display = "none";
 
-  setTimeout(() => {
-    if (errorMessage) {
-      errorMessage.scrollIntoView({ behavior: "smooth", block: "center" });
-    }
-  }, 100);
+  // Sharpe of closed trades is annualized by the backtest's trade frequency
+  const returns = tradeLedger
+    .filter((trade) => trade.exitReason !== "open")
+    .map((trade) => trade.return);
+  const years =
+    rows.length > 1
+      ? (rows[rows.length - 1].time - rows[0].time) / (365 * 24 * 3600 * 1000)
+      : 0;
+  return {
+    returns,
+    periodsPerYear: years > 0 ? returns.length / years : returns.length,
+  };
 }
 
-function displayResults(data) {
-  console.log("Displaying results:", data);
-  const metrics = data.metrics;
-  const evaluation = data.evaluation;
+async function handleRobustnessSubmit(e) {
+  e.preventDefault();
+  console.log("Robustness form submitted");
 
-  const dataPointsBadge = document.getElementById("dataPointsBadge");
-  if (dataPointsBadge && data.data_points) {
-    dataPointsBadge.textContent = `${data.data_points.toLocaleString()} data points`;
+  if (!lastBacktestRun) {
+    showStatus(
+      "robustnessStatus",
+      "❌ Run a backtest first",
+      "result-message error-message"
+    );
+    return;
   }
 
-  const metricElements = {
-    sharpeRatio: metrics["Sharpe Ratio"],
-    calmarRatio: metrics["Calmar Ratio"],
-    maxDrawdown: metrics["Max Drawdown"],
-    annualizedReturn: metrics["Annualized Return"],
-    totalReturn: metrics["Total Return"],
-    numTrades: metrics["Number of Trades"],
-    tradeFrequency: metrics["Trade Frequency %"],
-    winRate: metrics["Win Rate %"],
-  };
+  const method = document.getElementById("robust_method")?.value || "trades";
+  const iterations = parseInt(
+    document.getElementById("robust_iterations")?.value
+  );
+  const blockSize = parseInt(
+    document.getElementById("robust_block_size")?.value
+  );
+  const ruinPercent = parseFloat(document.getElementById("robust_ruin")?.value);
+
+  let validationError = null;
+  if (isNaN(iterations) || iterations < 100 || iterations > 10000) {
+    validationError = "Simulations must be between 100 and 10,000";
+  } else if (method === "blocks" && (isNaN(blockSize) || blockSize < 1)) {
+    validationError = "Block size must be at least 1 bar";
+  } else if (isNaN(ruinPercent) || ruinPercent < 1 || ruinPercent > 99) {
+    validationError = "Ruin level must be between 1% and 99%";
+  }
 
-  const sharpeEl = document.getElementById("sharpeRatio");
-  const calmarEl = document.getElementById("calmarRatio");
-  const maxDrawdownEl = document.getElementById("maxDrawdown");
-  const annualizedReturnEl = document.getElementById("annualizedReturn");
-  const totalReturnEl = document.getElementById("totalReturn");
-  const numTradesEl = document.getElementById("numTrades");
-  const tradeFrequencyEl = document.getElementById("tradeFrequency");
-  const winRateEl = document.getElementById("winRate");
+  const { returns, periodsPerYear } = getRobustnessReturns(method);
+  if (!validationError && returns.length < 2) {
+    validationError =
+      method === "blocks"
+        ? "Not enough bars in the backtest to resample"
+        : "At least 2 closed trades are needed to resample trades";
+  }
 
-  if (sharpeEl) sharpeEl.textContent = formatNumber(metricElements.sharpeRatio);
-  if (calmarEl) calmarEl.textContent = formatNumber(metricElements.calmarRatio);
-  if (maxDrawdownEl)
-    maxDrawdownEl.textContent = formatNumber(metricElements.maxDrawdown, 4);
-  if (annualizedReturnEl)
-    annualizedReturnEl.textContent = formatNumber(
-      metricElements.annualizedReturn,
-      4
+  if (validationError) {
+    showStatus(
+      "robustnessStatus",
+      "❌ " + validationError,
+      "result-message error-message"
     );
-  if (totalReturnEl)
-    totalReturnEl.textContent = formatNumber(metricElements.totalReturn, 4);
-  if (numTradesEl)
-    numTradesEl.textContent = metricElements.numTrades.toLocaleString();
-  if (tradeFrequencyEl)
-    tradeFrequencyEl.textContent =
-      formatNumber(metricElements.tradeFrequency, 2) + "%";
-  if (winRateEl)
-    winRateEl.textContent = formatNumber(metricElements.winRate, 2) + "%";
+    return;
+  }
 
-  const periodText = `${metrics["Start Date"]} to ${metrics["End Date"]} (${metrics["Period (days)"]} days)`;
-  const backtestPeriodEl = document.getElementById("backtestPeriod");
-  if (backtestPeriodEl) backtestPeriodEl.textContent = periodText;
+  const robustnessResultsEl = document.getElementById("robustnessResults");
+  if (robustnessResultsEl) robustnessResultsEl.style.display = "none";
+  const runRobustnessBtn = document.getElementById("runRobustnessBtn");
+  setButtonLoading(runRobustnessBtn, true);
+  showCancelButton("cancelRobustnessBtn", true);
 
-  const evaluationResult = document.getElementById("evaluationResult");
-  const evaluationReasons = document.getElementById("evaluationReasons");
+  try {
+    const result = await runBacktestJob(
+      "robustness",
+      {
+        returns,
+        settings: {
+          method,
+          iterations,
+          blockSize,
+          periodsPerYear,
+          ruinLevel: ruinPercent / 100,
+        },
+      },
+      (completed, total) => {
+        showStatus(
+          "robustnessStatus",
+          `⏳ Simulation ${completed.toLocaleString()} / ${total.toLocaleString()}...`
+        );
+      }
+    );
 
-  if (evaluation && evaluationResult) {
-    if (evaluation.recommended) {
-      evaluationResult.textContent =
-        "✅ RECOMMENDED - This strategy meets all evaluation criteria";
-      evaluationResult.className = "evaluation-result evaluation-recommended";
-    } else {
-      evaluationResult.textContent =
-        "❌ NOT RECOMMENDED - This strategy does not meet all evaluation criteria";
-      evaluationResult.className =
-        "evaluation-result evaluation-not-recommended";
-    }
+    showStatus(
+      "robustnessStatus",
+      `✅ ${iterations.toLocaleString()} simulations of ${returns.length.toLocaleString()} ${method === "blocks" ? "bar returns" : "trades"}`,
+      "result-message success-message"
+    );
 
-    if (evaluationReasons && evaluation.reasons) {
-      evaluationReasons.innerHTML = "";
-      evaluation.reasons.forEach((reason) => {
-        const li = document.createElement("li");
-        li.textContent = reason;
-        evaluationReasons.appendChild(li);
-      });
+    renderRobustnessTable(result);
+    if (robustnessResultsEl) robustnessResultsEl.style.display = "block";
+    generateRobustnessChart(result.fan, method);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      showStatus(
+        "robustnessStatus",
+        "⏹️ Simulation cancelled",
+        "result-message error-message"
+      );
+      return;
     }
+    console.error("Error:", error);
+    showStatus(
+      "robustnessStatus",
+      "❌ " + (error.message || "An error occurred. Please try again later."),
+      "result-message error-message"
+    );
+  } finally {
+    setButtonLoading(runRobustnessBtn, false);
+    showCancelButton("cancelRobustnessBtn", false);
   }
+}
 
-  if (metricsDisplay) metricsDisplay.style.display = "block";
+function renderRobustnessTable(result) {
+  const tbody = document.querySelector("#robustnessTable tbody");
+  if (!tbody) return;
+
+  const rows = [
+    ["Total Return", "totalReturn", 4],
+    ["Sharpe Ratio", "sharpeRatio", 2],
+    ["Max Drawdown", "maxDrawdown", 4],
+  ];
+
+  tbody.innerHTML = "";
+  for (const [label, key, decimals] of rows) {
+    const interval = result.intervals[key];
+    const tr = document.createElement("tr");
+    for (const value of [
+      label,
+      formatNumber(result.historical[key], decimals),
+      formatNumber(interval.p5, decimals),
+      formatNumber(interval.p50, decimals),
+      formatNumber(interval.p95, decimals),
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
 
-  // Show telegram section
-  if (telegramSection) telegramSection.style.display = "block";
+  const ruinEl = document.getElementById("probabilityOfRuin");
+  if (ruinEl) {
+    ruinEl.textContent = formatNumber(result.probabilityOfRuin * 100, 1) + "%";
+  }
 }
 
-/**
- * Generate and download backtest report as CSV
- * @param {Array} backtestResults - Backtest results array
- * @param {Object} formData - Form data with strategy parameters
- */
-function downloadBacktestReport(backtestResults, formData) {
-  try {
-    // Generate filename: {logic_type}_{side}_{window}_{entry_threshold}_{exit_threshold}——zscorebacktest.csv
-    // Example: trend_long_130_2_-2——zscorebacktest.csv
-    const logicType = formData.logic_type || "trend";
-    const side = formData.side || "both";
-    const window = formData.window || 190;
-    const entryThreshold = formData.entry_threshold || 0.8;
-    const exitThreshold = formData.exit_threshold || -0.3;
+function generateRobustnessChart(fan, method) {
+  const canvas = document.getElementById("robustnessChart");
+  if (!canvas) {
+    console.error("Canvas element not found");
+    return;
+  }
 
-    // Format exit threshold for filename
-    // If exit threshold is negative (e.g., -0.3), keep the negative sign
-    // Format: trend_long_130_2_-2——zscorebacktest.csv
-    const exitThresholdStr = exitThreshold.toString();
+  const ctx = canvas.getContext("2d");
 
-    const filename = `${logicType}_${side}_${window}_${entryThreshold}_${exitThresholdStr}——zscorebacktest.csv`;
+  if (robustnessChart) {
+    robustnessChart.destroy();
+  }
 
-    // CSV Headers (matching backtest_report.csv format)
-    const headers = [
-      "time",
-      "close",
-      "mean",
-      "std",
-      "zscore",
-      "pos",
-      "trades",
-      "pnl",
-      "cumulative_pnl",
-      "drawdown",
-    ];
+  // Each band fills down to the dataset drawn before it
+  const band = (label, data, fill, alpha) => ({
+    label,
+    data,
+    borderColor: "rgba(88, 166, 255, 0.6)",
+    backgroundColor: `rgba(88, 166, 255, ${alpha})`,
+    borderWidth: 1,
+    pointRadius: 0,
+    fill,
+    tension: 0.1,
+  });
 
-    // Convert backtest results to CSV rows
-    const csvRows = [headers.join(",")];
+  robustnessChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: fan.steps,
+      datasets: [
+        band("5th Percentile", fan.p5, false, 0),
+        band("25th Percentile", fan.p25, "-1", 0.15),
+        band("Median", fan.p50, "-1", 0.3),
+        band("75th Percentile", fan.p75, "-1", 0.3),
+        band("95th Percentile", fan.p95, "-1", 0.15),
+        {
+          label: "Historical",
+          data: fan.historical,
+          borderColor: "#2ea043",
+          backgroundColor: "rgba(46, 160, 67, 0.1)",
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: false,
+          tension: 0.1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        title: {
+          display: true,
+          text: "Simulated Cumulative Return (5th-95th Percentile Fan)",
+          font: {
+            size: 14,
+            weight: "bold",
+          },
+        },
+        legend: {
+          display: true,
+        },
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: method === "blocks" ? "Bar" : "Trade",
+          },
+        },
+        y: {
+          title: {
+            display: true,
+            text: "Cumulative PnL",
+          },
+        },
+      },
+    },
+  });
+}
 
-    for (const row of backtestResults) {
-      const time = new Date(row.time)
-        .toISOString()
-        .replace("T", " ")
-        .substring(0, 19);
-      const close = row.close || "";
-      const mean = row.mean !== null && row.mean !== undefined ? row.mean : "";
-      const std = row.std !== null && row.std !== undefined ? row.std : "";
-      const zscore =
-        row.zscore !== null && row.zscore !== undefined ? row.zscore : "";
-      const pos = row.pos !== null && row.pos !== undefined ? row.pos : "";
-      const trades =
-        row.trades !== null && row.trades !== undefined ? row.trades : "";
-      const pnl = row.pnl !== null && row.pnl !== undefined ? row.pnl : "";
-      const cumulativePnl =
-        row.cumulativePnl !== null && row.cumulativePnl !== undefined
-          ? row.cumulativePnl
-          : "";
-      const drawdown =
-        row.drawdown !== null && row.drawdown !== undefined ? row.drawdown : "";
+// Data Import Functions
 
-      const csvRow = [
-        time,
-        close,
-        mean,
-        std,
-        zscore,
-        pos,
-        trades,
-        pnl,
-        cumulativePnl,
-        drawdown,
-      ].join(",");
+/**
+ * Show the file import fields when the data source is a file
+ * The Bybit-only inputs (symbol, timeframe, period) are disabled or hidden.
+ */
+function updateDataSourceFields() {
+  const useFile = document.getElementById("data_source")?.value === "file";
 
-      csvRows.push(csvRow);
-    }
+  document.querySelectorAll(".file-source-field").forEach((field) => {
+    field.style.display = useFile ? "block" : "none";
+  });
 
-    // Create CSV content
-    const csvContent = csvRows.join("\n");
+  const columnMappingRow = document.getElementById("columnMappingRow");
+  if (columnMappingRow) {
+    columnMappingRow.style.display = useFile && importedFile ? "grid" : "none";
+  }
 
-    // Create blob and download
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    const url = URL.createObjectURL(blob);
+  const importStatus = document.getElementById("importStatus");
+  if (importStatus && !useFile) importStatus.style.display = "none";
+  if (useFile && importedFile) buildImportedDataset();
 
-    link.setAttribute("href", url);
-    link.setAttribute("download", filename);
-    link.style.visibility = "hidden";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  ["periodRow", "cacheBar"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = useFile ? "none" : "";
+  });
 
-    console.log(`CSV report downloaded: ${filename}`);
-  } catch (error) {
-    console.error("Error generating CSV report:", error);
-    // Don't show error to user, just log it
-  }
+  ["symbol", "interval"].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.disabled = useFile;
+  });
 }
 
-function resetButton() {
-  if (runBacktestBtn) {
-    runBacktestBtn.disabled = false;
-    const btnContent = runBacktestBtn.querySelector(".btn-content");
-    const btnLoader = runBacktestBtn.querySelector(".btn-loader");
-    if (btnContent) btnContent.style.display = "flex";
-    if (btnLoader) btnLoader.style.display = "none";
+/**
+ * Fill the timezone selector with whole and common half-hour UTC offsets
+ */
+function populateTimezoneOptions() {
+  const select = document.getElementById("data_timezone");
+  if (!select) return;
+
+  const offsets = [];
+  for (let hours = -12; hours <= 14; hours++) {
+    if (hours !== 0) offsets.push(hours * 60);
+  }
+  offsets.push(-210, 210, 270, 330, 345, 390, 570, 630);
+  offsets.sort((a, b) => a - b);
+
+  for (const minutes of offsets) {
+    const sign = minutes < 0 ? "−" : "+";
+    const hours = Math.floor(Math.abs(minutes) / 60);
+    const rest = String(Math.abs(minutes) % 60).padStart(2, "0");
+    const option = document.createElement("option");
+    option.value = String(minutes);
+    option.textContent = `UTC${sign}${hours}:${rest}`;
+    select.appendChild(option);
   }
-  if (loadingIndicator) loadingIndicator.style.display = "none";
 }
 
-// Initialize on page load
-document.addEventListener("DOMContentLoaded", function () {
-  console.log("Page loaded, initializing...");
-
-  if (!backtestForm) {
-    console.error("Backtest form not found!");
+async function handleDataFileChange(event) {
+  const file = event.target.files?.[0];
+  importedFile = null;
+  importedDataset = null;
+  if (!file) {
+    updateDataSourceFields();
     return;
   }
 
-  backtestForm.addEventListener("submit", handleBacktestSubmit);
-
-  if (telegramForm) {
-    telegramForm.addEventListener("submit", handleTelegramSubmit);
+  try {
+    const text = await file.text();
+    const { columns, rows } = ohlcvImporter.parse(text, file.name);
+    importedFile = { name: file.name, columns, rows };
+    console.log(`Parsed ${rows.length} rows from ${file.name}`);
+
+    const mapping = ohlcvImporter.guessMapping(columns);
+    for (const field of IMPORT_FIELDS) {
+      const select = document.getElementById(`map_${field}`);
+      if (!select) continue;
+
+      select.innerHTML = "";
+      if (field !== "time" && field !== "close") {
+        const none = document.createElement("option");
+        none.value = "";
+        none.textContent = "(not used)";
+        select.appendChild(none);
+      }
+      for (const column of columns) {
+        const option = document.createElement("option");
+        option.value = column;
+        option.textContent = column;
+        select.appendChild(option);
+      }
+      select.value = mapping[field] || (select.options[0]?.value ?? "");
+    }
+  } catch (error) {
+    console.error("Error reading data file:", error);
+    showStatus(
+      "importStatus",
+      `❌ ${file.name}: ${error.message}`,
+      "result-message error-message"
+    );
   }
 
-  if (startMonitorBtn) {
-    startMonitorBtn.addEventListener("click", handleStartMonitor);
-  }
+  updateDataSourceFields();
+}
 
-  if (stopMonitorBtn) {
-    stopMonitorBtn.addEventListener("click", handleStopMonitor);
+/**
+ * Turn the imported rows into a candle series using the current mapping,
+ * timestamp format and timezone, and report the outcome
+ */
+function buildImportedDataset() {
+  if (!importedFile) return;
+
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    mapping[field] = document.getElementById(`map_${field}`)?.value || "";
   }
 
-  console.log("Initialization complete");
-});
+  try {
+    const result = ohlcvImporter.toSeries(importedFile.rows, mapping, {
+      timestampFormat:
+        document.getElementById("timestamp_format")?.value || "auto",
+      timezone: document.getElementById("data_timezone")?.value || "0",
+    });
 
-async function handleBacktestSubmit(e) {
-  e.preventDefault();
-  console.log("Backtest form submitted");
+    // File name as the "symbol" shown in results and report file names
+    const label = importedFile.name
+      .replace(/\.[^.]*$/, "")
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .substring(0, 30);
+
+    importedDataset = {
+      key: `file_${importedFile.name}_${Date.now()}`,
+      label: label.length >= 2 ? label : "CUSTOM",
+      ...result,
+    };
 
-  // Check if monitoring is active
-  if (isMonitoring) {
-    alert("⚠️ Please stop monitoring first before running a new backtest!");
-    return;
+    const { data, interval, timestampFormat, warnings } = importedDataset;
+    const formatUtcDate = (time) =>
+      new Date(time).toISOString().substring(0, 10);
+    showStatus(
+      "importStatus",
+      `✅ ${importedFile.name}: ${data.length.toLocaleString()} ${getIntervalLabel(
+        interval
+      )} candles from ${formatUtcDate(data[0].time)} to ${formatUtcDate(
+        data[data.length - 1].time
+      )} (UTC), timestamps read as ${timestampFormat}` +
+        describeDataWarnings(warnings),
+      "result-message success-message"
+    );
+  } catch (error) {
+    importedDataset = null;
+    showStatus(
+      "importStatus",
+      `❌ ${importedFile.name}: ${error.message}`,
+      "result-message error-message"
+    );
   }
+}
 
-  if (metricsDisplay) metricsDisplay.style.display = "none";
-  if (errorMessage) errorMessage.style.display = "none";
+// Strategy Form Functions
 
-  if (loadingIndicator) loadingIndicator.style.display = "block";
-  if (resultsSection) resultsSection.style.display = "block";
+/**
+ * Build the strategy selects, optimizer checkboxes and parameter inputs from
+ * the strategy registry
+ */
+function populateStrategyControls() {
+  const select = document.getElementById("logic_type");
+  const optLogicTypes = document.getElementById("optLogicTypes");
+  const paramsRow = document.getElementById("strategyParamsRow");
+
+  for (const [id, strategy] of Object.entries(STRATEGIES)) {
+    if (select) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = strategy.label;
+      option.selected = id === "fast";
+      select.appendChild(option);
+    }
 
-  if (runBacktestBtn) {
-    runBacktestBtn.disabled = true;
-    const btnContent = runBacktestBtn.querySelector(".btn-content");
-    const btnLoader = runBacktestBtn.querySelector(".btn-loader");
-    if (btnContent) btnContent.style.display = "none";
-    if (btnLoader) btnLoader.style.display = "flex";
+    if (optLogicTypes) {
+      const label = document.createElement("label");
+      label.className = "checkbox-label";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.name = "opt_logic_type";
+      checkbox.value = id;
+      checkbox.checked = id === "fast";
+      label.appendChild(checkbox);
+      label.append(` ${strategy.label}`);
+      optLogicTypes.appendChild(label);
+    }
+
+    if (!paramsRow) continue;
+    for (const param of strategy.params) {
+      const group = document.createElement("div");
+      group.className = "form-group";
+      group.dataset.strategy = id;
+
+      const inputId = `strategy_${id}_${param.key}`;
+      const label = document.createElement("label");
+      label.htmlFor = inputId;
+      label.textContent = param.label;
+
+      const input = document.createElement("input");
+      input.type = "number";
+      input.id = inputId;
+      input.value = param.default;
+      input.step = param.step;
+      input.min = param.min;
+      input.max = param.max;
+
+      const hint = document.createElement("small");
+      hint.textContent = param.hint || "";
+
+      group.append(label, input, hint);
+      paramsRow.appendChild(group);
+    }
   }
 
-  const formData = {
-    logic_type: document.getElementById("logic_type")?.value || "trend",
-    side: document.getElementById("side")?.value || "both",
-    window: parseInt(document.getElementById("window")?.value || 200),
-    entry_threshold: parseFloat(
-      document.getElementById("entry_threshold")?.value || 2.3
-    ),
-    exit_threshold: parseFloat(
-      document.getElementById("exit_threshold")?.value || -1
-    ),
-  };
+  updateStrategyParamFields();
+}
 
-  console.log("Form data:", formData);
+/**
+ * Show only the parameter inputs of the selected strategy
+ */
+function updateStrategyParamFields() {
+  const logicType = document.getElementById("logic_type")?.value;
+  const paramsRow = document.getElementById("strategyParamsRow");
+  if (!paramsRow) return;
+
+  let visible = 0;
+  paramsRow.querySelectorAll(".form-group").forEach((group) => {
+    const show = group.dataset.strategy === logicType;
+    group.style.display = show ? "block" : "none";
+    if (show) visible++;
+  });
+  paramsRow.style.display = visible > 0 ? "grid" : "none";
+}
 
-  if (
-    isNaN(formData.window) ||
-    formData.window <= 0 ||
-    formData.window > 1000
-  ) {
-    showError("Window size must be between 1 and 1000");
-    resetButton();
-    return;
+/**
+ * Read a strategy's parameter inputs, falling back to its defaults
+ * @param {string} logicType - Strategy id in STRATEGIES
+ * @returns {Object} Parameter values by key
+ */
+function getStrategyParamValues(logicType) {
+  const values = {};
+  for (const param of getStrategy(logicType).params) {
+    const input = document.getElementById(`strategy_${logicType}_${param.key}`);
+    values[param.key] = parseFloat(input?.value);
   }
+  return resolveStrategyParams(logicType, values);
+}
 
-  if (
-    isNaN(formData.entry_threshold) ||
-    formData.entry_threshold <= 0 ||
-    formData.entry_threshold > 5
-  ) {
-    showError("Entry threshold must be between 0 and 5");
-    resetButton();
-    return;
-  }
+// Evaluation Criteria Functions
 
-  if (
-    isNaN(formData.exit_threshold) ||
-    formData.exit_threshold >= 0 ||
-    formData.exit_threshold < -5
-  ) {
-    showError("Exit threshold must be between -5 and 0");
-    resetButton();
-    return;
-  }
+/**
+ * Numeric metrics that criteria can test, in MetricsCalculator order
+ */
+function getEvaluationMetricNames() {
+  const metrics = metricsCalculator.emptyMetrics();
+  return Object.keys(metrics).filter((key) => typeof metrics[key] === "number");
+}
 
+/**
+ * Read profiles saved in this browser
+ * @returns {Object} Profile name -> criteria
+ */
+function loadSavedProfiles() {
   try {
-    console.log("Fetching historical data...");
-    const endTime = new Date();
-    const startTime = new Date("2022-01-01T00:00:00Z");
+    return JSON.parse(localStorage.getItem(EVALUATION_PROFILES_KEY)) || {};
+  } catch (error) {
+    console.warn("Saved evaluation profiles unreadable:", error);
+    return {};
+  }
+}
 
-    const priceData = await dataFetcher.fetchHistoricalData(
-      "BTCUSDT",
-      "60",
-      startTime,
-      endTime
-    );
+function getEvaluationProfiles() {
+  return { ...EVALUATION_PROFILES, ...loadSavedProfiles() };
+}
 
-    console.log(`Fetched ${priceData.length} data points`);
+function populateEvaluationProfiles(selected) {
+  const select = document.getElementById("evaluation_profile");
+  if (!select) return;
 
-    console.log("Running backtest...");
-    const backtestResults = backtestEngine.backtest(
-      priceData,
-      formData.window,
-      formData.entry_threshold,
-      formData.exit_threshold,
-      formData.logic_type,
-      formData.side
-    );
+  select.innerHTML = "";
+  for (const name of Object.keys(getEvaluationProfiles())) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name in EVALUATION_PROFILES ? name : `${name} (saved)`;
+    select.appendChild(option);
+  }
+  select.value = selected;
+
+  const list = document.getElementById("evaluationMetricList");
+  if (list && list.children.length === 0) {
+    for (const metric of getEvaluationMetricNames()) {
+      const option = document.createElement("option");
+      option.value = metric;
+      list.appendChild(option);
+    }
+  }
+}
 
-    console.log("Calculating metrics...");
-    const metrics = metricsCalculator.calculateAllMetrics(
-      backtestResults,
-      formData.window
-    );
+/**
+ * Append an editable row to the criteria table
+ * @param {Object} criterion - { metric, operator, threshold, weight }
+ */
+function addCriterionRow(criterion) {
+  const tbody = document.querySelector("#criteriaTable tbody");
+  if (!tbody) return;
+
+  const tr = document.createElement("tr");
+
+  const metricSelect = document.createElement("select");
+  metricSelect.className = "criterion-metric";
+  for (const metric of getEvaluationMetricNames()) {
+    const option = document.createElement("option");
+    option.value = metric;
+    option.textContent = metric;
+    metricSelect.appendChild(option);
+  }
+  metricSelect.value = criterion.metric;
+
+  const operatorSelect = document.createElement("select");
+  operatorSelect.className = "criterion-operator";
+  for (const [operator, { symbol }] of Object.entries(EVALUATION_OPERATORS)) {
+    const option = document.createElement("option");
+    option.value = operator;
+    option.textContent = symbol;
+    operatorSelect.appendChild(option);
+  }
+  operatorSelect.value = criterion.operator;
+
+  // A number, or the name of another metric to compare against
+  const thresholdInput = document.createElement("input");
+  thresholdInput.type = "text";
+  thresholdInput.className = "criterion-threshold";
+  thresholdInput.setAttribute("list", "evaluationMetricList");
+  thresholdInput.value = criterion.threshold;
+
+  const weightInput = document.createElement("input");
+  weightInput.type = "number";
+  weightInput.className = "criterion-weight";
+  weightInput.min = "0";
+  weightInput.step = "0.5";
+  weightInput.value = criterion.weight ?? 1;
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "btn btn-secondary btn-small";
+  removeBtn.textContent = "✕";
+  removeBtn.title = "Remove criterion";
+  removeBtn.addEventListener("click", () => {
+    tr.remove();
+    refreshEvaluation();
+  });
 
-    console.log("Evaluating strategy...");
-    const [isRecommended, reasons] = strategyEvaluator.evaluate(metrics);
+  for (const control of [
+    metricSelect,
+    operatorSelect,
+    thresholdInput,
+    weightInput,
+    removeBtn,
+  ]) {
+    const td = document.createElement("td");
+    td.appendChild(control);
+    tr.appendChild(td);
+  }
+  tbody.appendChild(tr);
+}
+
+function renderCriteriaEditor(criteria) {
+  const tbody = document.querySelector("#criteriaTable tbody");
+  if (!tbody) return;
 
-    console.log("Generating chart...");
-    generateEquityCurve(backtestResults);
+  tbody.innerHTML = "";
+  criteria.forEach(addCriterionRow);
+}
 
-    const responseData = {
-      success: true,
-      metrics: metrics,
-      evaluation: {
-        recommended: isRecommended,
-        reasons: reasons,
-      },
-      data_points: priceData.length,
+/**
+ * Read the criteria table
+ * @returns {Array<Object>} Criteria for StrategyEvaluator.setCriteria
+ */
+function getEvaluationCriteria() {
+  const rows = document.querySelectorAll("#criteriaTable tbody tr");
+  return Array.from(rows).map((tr) => {
+    const field = (name) => tr.querySelector(`.criterion-${name}`).value;
+    const thresholdText = field("threshold").trim();
+    const threshold = Number(thresholdText);
+    return {
+      metric: field("metric"),
+      operator: field("operator"),
+      threshold:
+        thresholdText !== "" && !isNaN(threshold) ? threshold : thresholdText,
+      weight: parseFloat(field("weight")),
     };
+  });
+}
 
-    displayResults(responseData);
-
-    // Generate and download CSV report
-    console.log("Generating CSV report...");
-    downloadBacktestReport(backtestResults, formData);
+/**
+ * Validate evaluation criteria
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEvaluationCriteria(criteria) {
+  const metricNames = getEvaluationMetricNames();
 
-    setTimeout(() => {
-      if (resultsSection) {
-        resultsSection.scrollIntoView({ behavior: "smooth", block: "start" });
-      }
-    }, 100);
-  } catch (error) {
-    console.error("Error:", error);
-    showError(error.message || "An error occurred. Please try again later.");
-  } finally {
-    resetButton();
+  for (const [index, criterion] of criteria.entries()) {
+    const row = `Criterion ${index + 1}`;
+    if (!metricNames.includes(criterion.metric)) {
+      return `${row}: unknown metric "${criterion.metric}"`;
+    }
+    if (!(criterion.operator in EVALUATION_OPERATORS)) {
+      return `${row}: unknown condition "${criterion.operator}"`;
+    }
+    if (
+      typeof criterion.threshold === "string"
+        ? !metricNames.includes(criterion.threshold)
+        : !isFinite(criterion.threshold)
+    ) {
+      return `${row}: threshold must be a number or a metric name`;
+    }
+    if (isNaN(criterion.weight) || criterion.weight < 0) {
+      return `${row}: weight must be zero or positive`;
+    }
   }
+
+  return null;
 }
 
-async function handleTelegramSubmit(e) {
-  e.preventDefault();
+/**
+ * Evaluate metrics with the given criteria
+ * @returns {Object} { recommended, reasons, score, grade } for displayResults
+ */
+function evaluateMetrics(metrics, criteria) {
+  strategyEvaluator.setCriteria(criteria);
+  const [recommended, reasons, { score, grade }] =
+    strategyEvaluator.evaluate(metrics);
+  return { recommended, reasons, score, grade };
+}
 
-  const telegramResult = document.getElementById("telegramResult");
-  if (telegramResult) telegramResult.style.display = "none";
+/**
+ * Re-evaluate the last backtest after the criteria change
+ */
+function refreshEvaluation() {
+  if (!lastBacktestRun) return;
 
-  // Disable button
-  if (testTelegramBtn) {
-    testTelegramBtn.disabled = true;
-    const btnContent = testTelegramBtn.querySelector(".btn-content");
-    const btnLoader = testTelegramBtn.querySelector(".btn-loader");
-    if (btnContent) btnContent.style.display = "none";
-    if (btnLoader) btnLoader.style.display = "flex";
-  }
+  const criteria = getEvaluationCriteria();
+  if (validateEvaluationCriteria(criteria)) return;
+  renderEvaluation(evaluateMetrics(lastBacktestRun.metrics, criteria));
+}
 
-  const formData = {
-    token: document.getElementById("telegram_token")?.value.trim() || "",
-    chat_id: document.getElementById("telegram_chat_id")?.value.trim() || "",
-  };
+function handleProfileChange() {
+  const name = document.getElementById("evaluation_profile")?.value;
+  const criteria = getEvaluationProfiles()[name];
+  if (!criteria) return;
 
-  // Validate inputs
-  if (!formData.token || !formData.chat_id) {
-    if (telegramResult) {
-      telegramResult.style.display = "block";
-      telegramResult.className = "result-message error-message";
-      telegramResult.textContent = "❌ Token and Chat ID are required";
-    }
-    resetTelegramButton();
+  renderCriteriaEditor(criteria);
+  refreshEvaluation();
+}
+
+function handleProfileSave() {
+  const nameInput = document.getElementById("profile_name");
+  const name = nameInput?.value.trim() || "";
+  const criteria = getEvaluationCriteria();
+
+  let error = validateEvaluationCriteria(criteria);
+  if (!name) {
+    error = "Enter a profile name";
+  } else if (name in EVALUATION_PROFILES) {
+    error = `"${name}" is a built-in profile; choose another name`;
+  } else if (criteria.length === 0) {
+    error = "Add at least one criterion";
+  }
+  if (error) {
+    showStatus(
+      "evaluationProfileStatus",
+      "❌ " + error,
+      "result-message error-message"
+    );
     return;
   }
 
-  // Validate chat_id is numeric
-  if (isNaN(formData.chat_id)) {
-    if (telegramResult) {
-      telegramResult.style.display = "block";
-      telegramResult.className = "result-message error-message";
-      telegramResult.textContent = "❌ Chat ID must be numeric";
-    }
-    resetTelegramButton();
+  const saved = loadSavedProfiles();
+  saved[name] = criteria;
+  try {
+    localStorage.setItem(EVALUATION_PROFILES_KEY, JSON.stringify(saved));
+  } catch (storageError) {
+    showStatus(
+      "evaluationProfileStatus",
+      "❌ Could not save the profile: " + storageError.message,
+      "result-message error-message"
+    );
     return;
   }
 
+  populateEvaluationProfiles(name);
+  if (nameInput) nameInput.value = "";
+  showStatus(
+    "evaluationProfileStatus",
+    `✅ Saved profile "${name}"`,
+    "result-message success-message"
+  );
+}
+
+function handleProfileDelete() {
+  const name = document.getElementById("evaluation_profile")?.value;
+  if (!name || name in EVALUATION_PROFILES) {
+    showStatus(
+      "evaluationProfileStatus",
+      "❌ Built-in profiles cannot be deleted",
+      "result-message error-message"
+    );
+    return;
+  }
+  if (!confirm(`Delete the evaluation profile "${name}"?`)) return;
+
+  const saved = loadSavedProfiles();
+  delete saved[name];
   try {
-    // Test Telegram connection
-    const notifier = new TelegramNotifier(formData.token, formData.chat_id);
-    const success = await notifier.sendTestMessage();
+    localStorage.setItem(EVALUATION_PROFILES_KEY, JSON.stringify(saved));
+  } catch (storageError) {
+    showStatus(
+      "evaluationProfileStatus",
+      "❌ Could not delete the profile: " + storageError.message,
+      "result-message error-message"
+    );
+    return;
+  }
 
-    if (telegramResult) {
-      telegramResult.style.display = "block";
+  populateEvaluationProfiles("Default");
+  handleProfileChange();
+  showStatus(
+    "evaluationProfileStatus",
+    `✅ Deleted profile "${name}"`,
+    "result-message success-message"
+  );
+}
 
-      if (success) {
-        telegramResult.className = "result-message success-message";
-        telegramResult.textContent = "✅ Telegram connection test successful!";
-        // Show live monitoring section after successful test
-        if (liveMonitorSection) {
-          liveMonitorSection.style.display = "block";
-        }
-      } else {
-        telegramResult.className = "result-message error-message";
-        telegramResult.textContent =
-          "❌ Telegram connection test failed. Please check Token and Chat ID.";
-      }
+// Run History Functions
 
-      // Scroll to result
-      setTimeout(() => {
-        telegramResult.scrollIntoView({ behavior: "smooth", block: "center" });
-      }, 100);
-    }
+/**
+ * Read saved runs, newest last
+ * @returns {Array<Object>} { id, time, name, starred, formData, metrics, evaluation, dataPoints }
+ */
+function loadRunHistory() {
+  try {
+    const text = localStorage.getItem(RUN_HISTORY_KEY);
+    const runs = JSON.parse(text, (key, value) =>
+      value !== null &&
+      typeof value === "object" &&
+      typeof value[NON_FINITE_MARKER] === "string" &&
+      Object.keys(value).length === 1
+        ? Number(value[NON_FINITE_MARKER])
+        : value
+    );
+    return runs || [];
   } catch (error) {
-    console.error("Error:", error);
-    if (telegramResult) {
-      telegramResult.style.display = "block";
-      telegramResult.className = "result-message error-message";
-      telegramResult.textContent = "❌ Error: " + error.message;
-    }
-  } finally {
-    resetTelegramButton();
+    console.warn("Run history unreadable:", error);
+    return [];
   }
 }
 
-function resetTelegramButton() {
-  if (testTelegramBtn) {
-    testTelegramBtn.disabled = false;
-    const btnContent = testTelegramBtn.querySelector(".btn-content");
-    const btnLoader = testTelegramBtn.querySelector(".btn-loader");
-    if (btnContent) btnContent.style.display = "flex";
-    if (btnLoader) btnLoader.style.display = "none";
+/**
+ * Save runs, dropping the oldest unstarred ones beyond RUN_HISTORY_LIMIT
+ * @param {Array<Object>} runs - Runs, newest last
+ */
+function storeRunHistory(runs) {
+  let excess = runs.length - RUN_HISTORY_LIMIT;
+  const kept = runs.filter((run) => run.starred || excess-- <= 0);
+  try {
+    // Marking non-finite numbers keeps them apart from user text like "NaN"
+    const text = JSON.stringify(kept, (key, value) =>
+      typeof value === "number" && !isFinite(value)
+        ? { [NON_FINITE_MARKER]: String(value) }
+        : value
+    );
+    localStorage.setItem(RUN_HISTORY_KEY, text);
+  } catch (error) {
+    console.warn("Could not save run history:", error);
+    showStatus(
+      "historyStatus",
+      "❌ Could not save run history: " + error.message,
+      "result-message error-message"
+    );
   }
 }
 
-// Live Monitoring Functions
+/**
+ * Downsample a backtest to RUN_CURVE_POINTS for storage
+ * Each point keeps the cumulative PnL at the end of its bucket and the
+ * deepest drawdown inside it, so troughs survive the downsampling.
+ * @param {Array} backtestResults - Backtest rows
+ * @returns {{time: Array<number>, cumulativePnl: Array<number>, drawdown: Array<number>}}
+ */
+function buildRunCurve(backtestResults) {
+  const rows = backtestResults.filter(
+    (item) => item.pnl !== null && !isNaN(item.pnl)
+  );
+  const bucket = Math.max(1, Math.ceil(rows.length / RUN_CURVE_POINTS));
+  const round = (value) => Number(value.toFixed(5));
+  const curve = { time: [], cumulativePnl: [], drawdown: [] };
+
+  for (let start = 0; start < rows.length; start += bucket) {
+    const slice = rows.slice(start, start + bucket);
+    const last = slice[slice.length - 1];
+    curve.time.push(last.time);
+    curve.cumulativePnl.push(round(last.cumulativePnl));
+    curve.drawdown.push(round(Math.min(...slice.map((item) => item.drawdown))));
+  }
+  return curve;
+}
 
+/**
+ * Add a finished backtest to the run history
+ * @param {Object} formData - Form data of the run
+ * @param {Object} metrics - Metrics of the run
+ * @param {Object} evaluation - { recommended, reasons, score, grade }
+ * @param {number} dataPoints - Candles in the tested dataset
+ * @param {Array} backtestResults - Backtest rows, kept as a downsampled curve
+ */
+function recordRun(formData, metrics, evaluation, dataPoints, backtestResults) {
+  const runs = loadRunHistory();
+  runs.push({
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    time: Date.now(),
+    name: "",
+    starred: false,
+    formData,
+    metrics,
+    evaluation,
+    dataPoints,
+    curve: buildRunCurve(backtestResults),
+  });
+  storeRunHistory(runs);
+  renderRunHistory();
+}
 
 /**
- * Check for trading signals and send notifications
+ * Change a saved run, e.g. { starred: true } or { name: "..." }
  */
-async function checkTradingSignal() {
-  try {
-    // Get current strategy parameters from form
-    const logicType = document.getElementById("logic_type")?.value || "trend";
-    const side = document.getElementById("side")?.value || "both";
-    const window = parseInt(document.getElementById("window")?.value || 190);
-    const entryThreshold = parseFloat(
-      document.getElementById("entry_threshold")?.value || 0.8
-    );
-    const exitThreshold = parseFloat(
-      document.getElementById("exit_threshold")?.value || -0.3
-    );
+function updateRun(id, changes) {
+  const runs = loadRunHistory().map((run) =>
+    run.id === id ? { ...run, ...changes } : run
+  );
+  storeRunHistory(runs);
+  renderRunHistory();
+}
 
-    // Get Telegram credentials
-    const token = document.getElementById("telegram_token")?.value.trim();
-    const chatId = document.getElementById("telegram_chat_id")?.value.trim();
+function deleteRun(id) {
+  comparisonSelection.delete(id);
+  storeRunHistory(loadRunHistory().filter((run) => run.id !== id));
+  renderRunHistory();
+}
 
-    if (!token || !chatId) {
-      console.error("Telegram credentials not found");
-      return;
-    }
+function handleClearHistory() {
+  if (!confirm("Delete every run that is not starred?")) return;
 
-    // Get the timestamp of the last completed hourly candle
-    // For example, if current time is 1:34, this returns 1:00:00
-    const currentHourlyTimestamp = dataFetcher.getLastHourlyCandleTime();
+  const starred = loadRunHistory().filter((run) => run.starred);
+  comparisonSelection = new Set(
+    starred.map((run) => run.id).filter((id) => comparisonSelection.has(id))
+  );
+  storeRunHistory(starred);
+  renderRunHistory();
+}
 
-    // Check if we have a new hourly candle (new hour has started)
-    const hasNewHourlyCandle =
-      lastHourlyTimestamp === null ||
-      currentHourlyTimestamp > lastHourlyTimestamp;
+/**
+ * Fill the backtest form with a saved run's settings
+ * Runs on an imported file keep the current data source; the file itself is
+ * not stored.
+ * @param {Object} formData - Form data from getBacktestFormData
+ */
+function applyFormData(formData) {
+  const skipped = ["strategy_params"];
+  if (formData.data_source === "file") {
+    skipped.push("data_source", "symbol", "interval");
+  }
 
-    if (!hasNewHourlyCandle && lastHourlyTimestamp !== null) {
-      // Already processed this hour; no need to recalc
-      return;
+  // Selects first, so dependent fields are shown before they are filled
+  const entries = Object.entries(formData)
+    .filter(([key]) => !skipped.includes(key))
+    .sort(([a], [b]) => (a === "logic_type" ? -1 : b === "logic_type" ? 1 : 0));
+  for (const [key, value] of entries) {
+    const input = document.getElementById(key);
+    if (!input) continue;
+    if (input.type === "checkbox") {
+      input.checked = Boolean(value);
+    } else {
+      input.value = key === "dsr_trials" && !Number(value) ? "" : value;
     }
+    if (input.tagName === "SELECT") {
+      input.dispatchEvent(new Event("change"));
+    }
+  }
 
-    // New hour detected or first check - fetch new data and calculate Z-Score
-    console.log("Calculating Z-Score for new hour...");
-
-    // Fetch recent hourly K-line data for Z-Score calculation
-    // useLastHourlyCandle=true ensures we use the last completed hourly candle
-    // For example, if now is 1:34, we use data up to 1:00 (previous hour)
-    const recentData = await dataFetcher.fetchRecentData(
-      "BTCUSDT",
-      "60", // 60 = 1 hour interval
-      window + 10,
-      true // Use last completed hourly candle
+  for (const [key, value] of Object.entries(formData.strategy_params || {})) {
+    const input = document.getElementById(
+      `strategy_${formData.logic_type}_${key}`
     );
+    if (input) input.value = value;
+  }
 
-    if (recentData.length < window) {
-      console.error("Not enough data for Z-Score calculation");
-      updateMonitorStatus("Error: Not enough data", null, null, null);
-      return;
-    }
-
-    // Calculate Z-Score for the last hourly data point
-    // Z-Score is based on hourly K-line close prices, not real-time price
-    const zscoreData = backtestEngine.calculateZScore(recentData, window);
-    const lastData = zscoreData[zscoreData.length - 1];
+  const datePreset = document.getElementById("date_preset");
+  if (datePreset) datePreset.value = "custom";
+}
 
-    if (!lastData || lastData.zscore === null || isNaN(lastData.zscore)) {
-      console.error("Z-Score calculation failed");
-      updateMonitorStatus(
-        "Error: Z-Score calculation failed",
-        null,
-        null,
-        null
-      );
-      return;
-    }
+/**
+ * Short description of a run's strategy parameters
+ */
+function describeRun(run) {
+  const { formData } = run;
+  return `${formData.logic_type} ${formData.side} ${formData.window} / ${formData.entry_threshold} / ${formData.exit_threshold}`;
+}
 
-    // Use the close price from the last hourly K-line (not real-time price)
-    // This ensures Z-Score and price are from the same hourly candle
-    const currentPrice = lastData.close; // Hourly K-line close price
-    const currentZScore = lastData.zscore; // Z-Score based on hourly data
+/**
+ * Sort key of a run for the history table
+ */
+function getRunSortValue(run, key) {
+  if (key === "time" || key === "name" || key === "starred") return run[key];
+  if (key === "symbol") return run.formData.symbol;
+  if (key === "strategy") return run.formData.logic_type;
+  if (key === "score") return run.evaluation?.score;
+  return run.metrics[key];
+}
 
-    // Update the last hourly timestamp
-    lastHourlyTimestamp = currentHourlyTimestamp;
+function sortRunHistory(key) {
+  if (historySort.key === key) {
+    historySort.ascending = !historySort.ascending;
+  } else {
+    historySort = { key, ascending: false };
+  }
+  renderRunHistory();
+}
 
-    // Update UI with new hourly data
-    // Format: "12/8/2025, 1:00 AM" (date and hour only, minutes always :00)
-    const hourDate = new Date(currentHourlyTimestamp);
-    const datePart = hourDate.toLocaleDateString("en-US", {
-      month: "numeric",
-      day: "numeric",
-      year: "numeric",
+/**
+ * Render the run history table with the current filter and sort order
+ */
+function renderRunHistory() {
+  const tbody = document.querySelector("#historyTable tbody");
+  if (!tbody) return;
+
+  const query = (document.getElementById("historyFilter")?.value || "")
+    .trim()
+    .toLowerCase();
+  const view = document.getElementById("historyView")?.value || "all";
+
+  const { key, ascending } = historySort;
+  const runs = loadRunHistory()
+    .filter((run) => view !== "starred" || run.starred)
+    .filter((run) => view !== "recommended" || run.evaluation?.recommended)
+    .filter(
+      (run) =>
+        !query ||
+        [run.name, run.formData.symbol, describeRun(run)]
+          .join(" ")
+          .toLowerCase()
+          .includes(query)
+    )
+    .sort((a, b) => {
+      const va = getRunSortValue(a, key);
+      const vb = getRunSortValue(b, key);
+      // Missing and NaN values always sort last
+      if (va === undefined || (typeof va === "number" && isNaN(va))) return 1;
+      if (vb === undefined || (typeof vb === "number" && isNaN(vb))) return -1;
+      if (va < vb) return ascending ? -1 : 1;
+      if (va > vb) return ascending ? 1 : -1;
+      return 0;
     });
-    const hour = hourDate.getHours();
-    const ampm = hour >= 12 ? "PM" : "AM";
-    const hour12 = hour % 12 || 12; // Convert to 12-hour format
-    const formattedDateTime = `${datePart}, ${hour12}:00 ${ampm}`;
-    const hourLabel = `${hour.toString().padStart(2, "0")}:00`;
 
-    const year = hourDate.getFullYear();
-    const month = String(hourDate.getMonth() + 1).padStart(2, "0");
-    const day = String(hourDate.getDate()).padStart(2, "0");
-    const dateLabel = `${year}-${month}-${day}`;
-    updateMonitorStatus(
-      `Monitoring`,
-      currentPrice,
-      currentZScore,
-      formattedDateTime
-    );
+  document.querySelectorAll("#historyTable th[data-sort]").forEach((th) => {
+    th.classList.toggle("sorted", th.dataset.sort === key);
+    th.classList.toggle("sorted-asc", th.dataset.sort === key && ascending);
+  });
 
-    // Detect signal and position/action for this hour (aligned with documentation)
-    let signalType = null;
-    let actionLabel = "No position (no new signal)";
-    let nextPosition = currentPosition;
-
-    if (logicType === "trend") {
-      // Trend: long when Z > entry, short when Z < exit; otherwise hold previous
-      if (side === "long") {
-        nextPosition = currentZScore > entryThreshold ? "long" : "none";
-      } else if (side === "short") {
-        nextPosition = currentZScore < exitThreshold ? "short" : "none";
+  tbody.innerHTML = "";
+  for (const run of runs) {
+    const tr = document.createElement("tr");
+    const addCell = (content) => {
+      const td = document.createElement("td");
+      if (content instanceof Node) {
+        td.appendChild(content);
       } else {
-        if (currentZScore > entryThreshold) {
-          nextPosition = "long";
-        } else if (currentZScore < exitThreshold) {
-          nextPosition = "short";
-        } else {
-          nextPosition = currentPosition;
-        }
-      }
-    } else if (logicType === "fast") {
-      // Fast strategy rules
-      // 1) Close shorts if Z > Exit
-      if (
-        (side === "short" || side === "both") &&
-        currentPosition === "short" &&
-        currentZScore > exitThreshold
-      ) {
-        nextPosition = "none";
-        signalType = "exit_short";
-      }
-      // 2) Close longs if Z < Entry
-      if (
-        (side === "long" || side === "both") &&
-        currentPosition === "long" &&
-        currentZScore < entryThreshold
-      ) {
-        nextPosition = "none";
-        signalType = signalType || "exit_long";
-      }
-      // 3) Open long if Z > Entry
-      if (
-        (side === "long" || side === "both") &&
-        nextPosition === "none" &&
-        currentZScore > entryThreshold
-      ) {
-        nextPosition = "long";
-        signalType = "entry_long";
+        td.textContent = content;
       }
-      // 4) Open short if Z < Exit
-      if (
-        (side === "short" || side === "both") &&
-        nextPosition === "none" &&
-        currentZScore < exitThreshold
-      ) {
-        nextPosition = "short";
-        signalType = "entry_short";
-      }
-      // If no changes were triggered above, keep current
-      if (!signalType && nextPosition === "none") {
-        nextPosition = currentPosition;
-      }
-    }
+      tr.appendChild(td);
+      return td;
+    };
+    const button = (text, title, onClick) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-secondary btn-small";
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener("click", onClick);
+      return btn;
+    };
 
-    // Determine signal if position changed (for trend or remaining fast cases)
-    if (!signalType && nextPosition !== currentPosition) {
-      if (currentPosition === "long" && nextPosition === "none") {
-        signalType = "exit_long";
-      } else if (currentPosition === "short" && nextPosition === "none") {
-        signalType = "exit_short";
-      } else if (nextPosition === "long") {
-        signalType = "entry_long";
-      } else if (nextPosition === "short") {
-        signalType = "entry_short";
+    const compareBox = document.createElement("input");
+    compareBox.type = "checkbox";
+    compareBox.checked = comparisonSelection.has(run.id);
+    compareBox.addEventListener("change", () => {
+      if (!compareBox.checked) {
+        comparisonSelection.delete(run.id);
+      } else if (comparisonSelection.size >= COMPARISON_COLORS.length) {
+        compareBox.checked = false;
+        showStatus(
+          "historyStatus",
+          `❌ At most ${COMPARISON_COLORS.length} runs can be compared`,
+          "result-message error-message"
+        );
+      } else {
+        comparisonSelection.add(run.id);
       }
-    }
+    });
+    addCell(compareBox);
 
-    // Human-readable action label
-    if (nextPosition === "long" && currentPosition !== "long") {
-      actionLabel = "Enter Long";
-    } else if (nextPosition === "short" && currentPosition !== "short") {
-      actionLabel = "Enter Short";
-    } else if (currentPosition === "long" && nextPosition === "none") {
-      actionLabel = "Close Long";
-    } else if (currentPosition === "short" && nextPosition === "none") {
-      actionLabel = "Close Short";
-    } else if (nextPosition === "long") {
-      actionLabel = "Hold Long";
-    } else if (nextPosition === "short") {
-      actionLabel = "Hold Short";
-    } else {
-      actionLabel = "No position (no new signal)";
-    }
+    addCell(
+      button(run.starred ? "★" : "☆", "Star as preset", () =>
+        updateRun(run.id, { starred: !run.starred })
+      )
+    );
+    addCell(formatUtcTime(run.time));
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = run.name;
+    nameInput.placeholder = "Unnamed";
+    nameInput.maxLength = 60;
+    nameInput.addEventListener("change", () =>
+      updateRun(run.id, { name: nameInput.value.trim() })
+    );
+    addCell(nameInput);
 
-    currentPosition = nextPosition;
+    const { metrics, evaluation } = run;
+    addCell(
+      `${run.formData.symbol} · ${getIntervalLabel(run.formData.interval)}`
+    );
+    addCell(describeRun(run));
+    addCell(
+      `${metrics["Start Date"].substring(0, 10)} → ${metrics["End Date"].substring(0, 10)}`
+    );
+    addCell(formatNumber(metrics["Sharpe Ratio"]));
+    addCell(formatNumber(metrics["Total Return"], 4));
+    addCell(formatNumber(metrics["Max Drawdown"], 4));
+    addCell(metrics["Number of Trades"].toLocaleString());
+    addCell(
+      evaluation
+        ? `${evaluation.recommended ? "✅" : "❌"} ${evaluation.grade}` +
+            (isNaN(evaluation.score) ? "" : ` (${evaluation.score})`)
+        : "N/A"
+    );
 
-    // Always send hourly update (even without signal)
-    const notifier = new TelegramNotifier(token, chatId);
+    const actions = document.createElement("div");
+    actions.className = "history-actions";
+    actions.appendChild(
+      button("Load", "Fill the form with this run's settings", () => {
+        applyFormData(run.formData);
+        document
+          .getElementById("inputSection")
+          ?.scrollIntoView({ behavior: "smooth", block: "start" });
+      })
+    );
+    actions.appendChild(
+      button("Re-run", "Run this backtest again", () => {
+        applyFormData(run.formData);
+        backtestForm.requestSubmit();
+      })
+    );
+    actions.appendChild(
+      button("Delete", "Delete this run", () => deleteRun(run.id))
+    );
+    addCell(actions);
 
-    const hourlySent = await notifier.sendHourlyUpdate(
-      hourLabel,
-      currentZScore,
-      currentPrice,
-      currentPosition,
-      window,
-      entryThreshold,
-      exitThreshold,
-      dateLabel,
-      logicType,
-      side
+    tbody.appendChild(tr);
+  }
+
+  if (runs.length === 0) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = 13;
+    td.textContent = "No runs yet";
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+}
+
+/**
+ * Compare the runs ticked in the history table
+ */
+function handleCompareRuns() {
+  const runs = loadRunHistory().filter((run) =>
+    comparisonSelection.has(run.id)
+  );
+  const comparisonResultsEl = document.getElementById("comparisonResults");
+
+  if (runs.length < 2) {
+    if (comparisonResultsEl) comparisonResultsEl.style.display = "none";
+    showStatus(
+      "historyStatus",
+      "❌ Tick at least two runs to compare",
+      "result-message error-message"
     );
+    return;
+  }
 
-    if (hourlySent && signalType) {
-      console.log(`Signal sent in hourly update: ${signalType}`);
-    } else if (!hourlySent) {
-      console.warn("Hourly Telegram message failed to send");
-      updateMonitorStatus(
-        "Warning: failed to send Telegram message (check token/chat ID).",
-        currentPrice,
-        currentZScore,
-        formattedDateTime
-      );
-    }
-  } catch (error) {
-    console.error("Error checking trading signal:", error);
-    updateMonitorStatus("Error: " + error.message, null, null, null);
+  showStatus(
+    "historyStatus",
+    `✅ Comparing ${runs.length} runs`,
+    "result-message success-message"
+  );
+  if (comparisonResultsEl) comparisonResultsEl.style.display = "block";
+  renderComparisonTable(runs);
+  generateComparisonCharts(runs);
+}
+
+function getRunLabel(run) {
+  return run.name || `${run.formData.symbol} ${describeRun(run)}`;
+}
+
+/**
+ * Metrics table with one row per run; the best and worst value of each
+ * column are highlighted
+ * @param {Array<Object>} runs - Runs from the history
+ */
+function renderComparisonTable(runs) {
+  const thead = document.querySelector("#comparisonTable thead");
+  const tbody = document.querySelector("#comparisonTable tbody");
+  if (!thead || !tbody) return;
+
+  thead.innerHTML = "";
+  const headerRow = document.createElement("tr");
+  for (const title of ["Run", ...COMPARISON_METRICS.map(([key]) => key)]) {
+    const th = document.createElement("th");
+    th.textContent = title;
+    headerRow.appendChild(th);
   }
+  thead.appendChild(headerRow);
+
+  // Best and worst value per metric, ignoring missing values
+  const extremes = COMPARISON_METRICS.map(([key, , better]) => {
+    const values = runs
+      .map((run) => run.metrics[key])
+      .filter((value) => typeof value === "number" && !isNaN(value));
+    if (!better || values.length < 2) return null;
+    const high = Math.max(...values);
+    const low = Math.min(...values);
+    if (high === low) return null;
+    return better === "high"
+      ? { best: high, worst: low }
+      : { best: low, worst: high };
+  });
+
+  tbody.innerHTML = "";
+  runs.forEach((run, index) => {
+    const tr = document.createElement("tr");
+
+    const labelTd = document.createElement("td");
+    const swatch = document.createElement("span");
+    swatch.className = "compare-swatch";
+    swatch.style.background = COMPARISON_COLORS[index];
+    labelTd.appendChild(swatch);
+    labelTd.appendChild(document.createTextNode(getRunLabel(run)));
+    tr.appendChild(labelTd);
+
+    COMPARISON_METRICS.forEach(([key, decimals], column) => {
+      const td = document.createElement("td");
+      const value = run.metrics[key];
+      td.textContent = value === Infinity ? "∞" : formatNumber(value, decimals);
+      const extreme = extremes[column];
+      if (extreme && value === extreme.best) td.className = "compare-best";
+      if (extreme && value === extreme.worst) td.className = "compare-worst";
+      tr.appendChild(td);
+    });
+
+    tbody.appendChild(tr);
+  });
 }
 
 /**
- * Update monitor status display
- * @param {string} status - Status text
- * @param {number} price - Current price
- * @param {number} zscore - Current Z-Score
- * @param {string} dataDateTime - Date and time of the data source (e.g., "12/8/2025, 1:00 AM")
+ * Overlay the equity and drawdown curves of several runs on a shared time axis
+ * @param {Array<Object>} runs - Runs from the history
  */
-function updateMonitorStatus(status, price, zscore, dataDateTime = null) {
-  const statusText = document.getElementById("monitorStatusText");
-  const lastCheckTime = document.getElementById("lastCheckTime");
-  const currentPriceEl = document.getElementById("currentPrice");
-  const currentZScoreEl = document.getElementById("currentZScore");
+function generateComparisonCharts(runs) {
+  // Colors follow the table rows, including runs saved without a curve
+  const datasets = (field) =>
+    runs
+      .map((run, index) => ({
+        label: getRunLabel(run),
+        data: (run.curve?.time || []).map((time, i) => ({
+          x: time,
+          y: run.curve[field][i],
+        })),
+        borderColor: COMPARISON_COLORS[index],
+        backgroundColor: COMPARISON_COLORS[index],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        fill: false,
+        tension: 0.1,
+      }))
+      .filter((dataset) => dataset.data.length > 0);
+
+  const options = (title, yTitle) => ({
+    responsive: true,
+    maintainAspectRatio: true,
+    interaction: { mode: "nearest", axis: "x", intersect: false },
+    plugins: {
+      title: {
+        display: true,
+        text: title,
+        font: {
+          size: 14,
+          weight: "bold",
+        },
+      },
+      legend: {
+        display: true,
+      },
+      tooltip: {
+        callbacks: {
+          title: (items) =>
+            items.length > 0 ? formatUtcTime(items[0].parsed.x) : "",
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: "linear",
+        title: {
+          display: true,
+          text: "Date",
+        },
+        ticks: {
+          callback: (value) => new Date(value).toLocaleDateString(),
+        },
+      },
+      y: {
+        title: {
+          display: true,
+          text: yTitle,
+        },
+      },
+    },
+  });
 
-  if (statusText) {
-    statusText.textContent = status;
+  const equityCanvas = document.getElementById("comparisonEquityChart");
+  const drawdownCanvas = document.getElementById("comparisonDrawdownChart");
+  if (!equityCanvas || !drawdownCanvas) {
+    console.error("Canvas element not found");
+    return;
   }
 
-  // Display the data source time (hourly candle time), not current time
-  if (lastCheckTime) {
-    if (dataDateTime) {
-      lastCheckTime.textContent = dataDateTime;
+  if (comparisonEquityChart) comparisonEquityChart.destroy();
+  if (comparisonDrawdownChart) comparisonDrawdownChart.destroy();
+
+  comparisonEquityChart = new Chart(equityCanvas.getContext("2d"), {
+    type: "line",
+    data: { datasets: datasets("cumulativePnl") },
+    options: options("Cumulative PnL by Run", "Cumulative PnL"),
+  });
+  comparisonDrawdownChart = new Chart(drawdownCanvas.getContext("2d"), {
+    type: "line",
+    data: { datasets: datasets("drawdown") },
+    options: options("Drawdown by Run", "Drawdown"),
+  });
+}
+
+/**
+ * Restore the last run's settings and results after a page reload
+ * The equity curve and trade ledger are not stored; running the backtest
+ * again rebuilds them.
+ */
+function restoreLastRun() {
+  const runs = loadRunHistory();
+  const last = runs[runs.length - 1];
+  if (!last) return;
+
+  applyFormData(last.formData);
+  if (resultsSection) resultsSection.style.display = "block";
+  displayResults({
+    metrics: last.metrics,
+    evaluation: last.evaluation,
+    data_points: last.dataPoints,
+    data_warnings: [
+      `Restored from the run of ${formatUtcTime(last.time)} UTC; run the backtest again for the equity curve and trades`,
+    ],
+    symbol: last.formData.symbol,
+  });
+}
+
+// Shared Link Functions
+
+/**
+ * Encode a backtest configuration as URL hash parameters
+ * Strategy parameters become param_<key>; the evaluation criteria are sent
+ * as a profile name, or in full when they were edited. Imported files cannot
+ * be shared, so their source, symbol and interval are left out.
+ * @param {Object} formData - Form data from getBacktestFormData
+ * @param {boolean} autoRun - Run the backtest when the link is opened
+ * @returns {string} Hash without the leading "#"
+ */
+function encodeBacktestConfig(formData, autoRun = false) {
+  const params = new URLSearchParams();
+  const skipped =
+    formData.data_source === "file"
+      ? ["data_source", "symbol", "interval"]
+      : [];
+
+  for (const [key, value] of Object.entries(formData)) {
+    if (skipped.includes(key)) continue;
+    if (key === "strategy_params") {
+      for (const [param, paramValue] of Object.entries(value)) {
+        params.set(`param_${param}`, paramValue);
+      }
     } else {
-      // Fallback to current time if no data time provided
-      const now = new Date();
-      lastCheckTime.textContent = now.toLocaleString();
+      params.set(key, value);
     }
   }
 
-  if (currentPriceEl) {
-    if (price !== null && !isNaN(price)) {
-      currentPriceEl.textContent = `$${price.toLocaleString("en-US", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      })}`;
-    } else {
-      currentPriceEl.textContent = "-";
-    }
+  const profile = document.getElementById("evaluation_profile")?.value;
+  const criteria = JSON.stringify(getEvaluationCriteria());
+  if (criteria === JSON.stringify(getEvaluationProfiles()[profile])) {
+    params.set("profile", profile);
+  } else {
+    params.set("criteria", criteria);
   }
 
-  if (currentZScoreEl) {
-    if (zscore !== null && !isNaN(zscore)) {
-      currentZScoreEl.textContent = zscore.toFixed(2);
-    } else {
-      currentZScoreEl.textContent = "-";
+  if (autoRun) params.set("run", "1");
+  return params.toString();
+}
+
+/**
+ * Decode a configuration link made by encodeBacktestConfig
+ * Only backtest form fields and the chosen strategy's parameters are read,
+ * so a link cannot fill in other inputs such as the Telegram credentials.
+ * @param {string} hash - location.hash
+ * @returns {Object|null} { formData, profile, criteria, autoRun }, or null
+ *   when the hash holds no configuration
+ */
+function decodeBacktestConfig(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const logicType = params.get("logic_type");
+  if (!logicType) return null;
+  if (!Object.prototype.hasOwnProperty.call(STRATEGIES, logicType)) {
+    console.warn(`Ignoring link with unknown strategy type: ${logicType}`);
+    return null;
+  }
+
+  const formKeys = Object.keys(getBacktestFormData()).filter(
+    (key) => key !== "strategy_params"
+  );
+  const paramKeys = getStrategy(logicType).params.map((param) => param.key);
+  const formData = { strategy_params: {} };
+  for (const [key, value] of params) {
+    const param = key.startsWith("param_") ? key.slice("param_".length) : null;
+    if (param !== null && paramKeys.includes(param)) {
+      formData.strategy_params[param] = value;
+    } else if (formKeys.includes(key)) {
+      formData[key] =
+        value === "true" ? true : value === "false" ? false : value;
     }
   }
+
+  let criteria = null;
+  try {
+    criteria = JSON.parse(params.get("criteria"));
+  } catch (error) {
+    console.warn("Ignoring unreadable criteria in link:", error);
+  }
+
+  return {
+    formData,
+    profile: params.get("profile"),
+    criteria: Array.isArray(criteria) ? criteria : null,
+    autoRun: params.get("run") === "1",
+  };
 }
 
 /**
- * Start live monitoring
+ * Apply a configuration link on page load or when the link changes
+ * @returns {boolean} Whether the URL held a configuration
  */
-async function handleStartMonitor() {
-  const token = document.getElementById("telegram_token")?.value.trim();
-  const chatId = document.getElementById("telegram_chat_id")?.value.trim();
+function restoreSharedConfig() {
+  const config = decodeBacktestConfig(location.hash);
+  if (!config) return false;
+
+  applyFormData(config.formData);
+
+  const profileSelect = document.getElementById("evaluation_profile");
+  if (config.criteria && !validateEvaluationCriteria(config.criteria)) {
+    renderCriteriaEditor(config.criteria);
+  } else if (profileSelect && config.profile in getEvaluationProfiles()) {
+    profileSelect.value = config.profile;
+    handleProfileChange();
+  }
 
-  if (!token || !chatId) {
-    alert("Please configure Telegram Bot Token and Chat ID first!");
+  console.log("Configuration restored from link");
+  if (config.autoRun) backtestForm.requestSubmit();
+  return true;
+}
+
+async function handleCopyLink() {
+  const formData = getBacktestFormData();
+  const validationError = validateBacktestFormData(formData);
+  if (validationError) {
+    showStatus(
+      "shareStatus",
+      "❌ " + validationError,
+      "result-message error-message"
+    );
     return;
   }
 
-  if (isMonitoring) return;
+  const autoRun = document.getElementById("share_autorun")?.checked || false;
+  const url = `${location.href.split("#")[0]}#${encodeBacktestConfig(
+    formData,
+    autoRun
+  )}`;
+  const note =
+    formData.data_source === "file"
+      ? " The imported file is not included; the link uses the Bybit data source."
+      : "";
 
-  isMonitoring = true;
-  lastHourlyTimestamp = null;
-  currentPosition = "none";
+  try {
+    await navigator.clipboard.writeText(url);
+    showStatus(
+      "shareStatus",
+      "✅ Link copied to the clipboard." + note,
+      "result-message success-message"
+    );
+  } catch (error) {
+    // Clipboard access needs a secure context; let the user copy by hand
+    prompt("Copy this link:", url);
+  }
+}
 
-  if (startMonitorBtn) startMonitorBtn.style.display = "none";
-  if (stopMonitorBtn) stopMonitorBtn.style.display = "inline-flex";
+// Backtest Worker Functions
 
-  const monitorStatus = document.getElementById("monitorStatus");
-  if (monitorStatus) {
-    monitorStatus.style.display = "block";
-    monitorStatus.className = "result-message success-message";
-    monitorStatus.textContent =
-      "🟢 Monitoring started. Z-Score is calculated at every hourly candle...";
-  }
-  // 🔔 Show monitoring warning
-  const monitorWarning = document.getElementById("monitorWarning");
-  if (monitorWarning) {
-    monitorWarning.style.display = "block";
-  }
+/**
+ * Backtest work that can run in the worker, keyed by job type
+ * Each job takes a structured-cloneable payload and an onProgress(completed,
+ * total) callback and returns (or resolves to) a cloneable result.
+ */
+const BACKTEST_JOBS = {
+  backtest(payload, onProgress) {
+    const { priceData, params, options } = payload;
+    metricsCalculator.setTimeframe(payload.interval);
+    metricsCalculator.setTrials(payload.trials);
 
-  // Run immediately
-  await checkTradingSignal();
+    // The metrics and trade ledger count as one more step after the bars
+    const backtestResults = backtestEngine.backtest(
+      priceData,
+      params.window,
+      params.entry_threshold,
+      params.exit_threshold,
+      params.logic_type,
+      params.side,
+      {
+        ...options,
+        onProgress: (completed, total) => onProgress(completed, total + 1),
+      }
+    );
 
-  // ⬅️NEW: Check every 10s for hour change
-  let lastHour = new Date().getHours();
+    const metrics = metricsCalculator.calculateAllMetrics(
+      backtestResults,
+      params.window
+    );
+    const trades = metricsCalculator.buildTradeLedger(backtestResults);
+    const steps = backtestResults.length + 1;
+    onProgress(steps, steps);
+
+    return { backtestResults, metrics, trades };
+  },
+
+  optimize(payload, onProgress) {
+    metricsCalculator.setTimeframe(payload.interval);
+    metricsCalculator.setTrials(payload.trials);
+    return parameterOptimizer.run(
+      payload.priceData,
+      payload.grid,
+      payload.options,
+      onProgress
+    );
+  },
+
+  walkForward(payload, onProgress) {
+    metricsCalculator.setTimeframe(payload.interval);
+    metricsCalculator.setTrials(payload.trials);
+    return walkForwardValidator.run(
+      payload.priceData,
+      payload.grid,
+      payload.settings,
+      onProgress
+    );
+  },
 
-  monitorInterval = setInterval(async () => {
-    if (!isMonitoring) return;
+  robustness(payload, onProgress) {
+    return robustnessAnalyzer.simulate(
+      payload.returns,
+      payload.settings,
+      onProgress
+    );
+  },
+};
 
-    const now = new Date();
-    const currentHour = now.getHours();
+// Jobs in flight by type: { worker, reject, cancelled }
+const runningJobs = {};
 
-    // detect hour change
-    if (currentHour !== lastHour) {
-      lastHour = currentHour;
-      console.log("⏰ Hour changed → refreshing trading signal");
-      await checkTradingSignal();
-    }
-  }, 10000); // check every 10 sec
+/**
+ * Worker side: run a posted job and post its progress and result back
+ * @param {MessageEvent} event - Message with { type, payload }
+ */
+async function handleWorkerMessage(event) {
+  const { type, payload } = event.data;
+  const onProgress = (completed, total) =>
+    self.postMessage({ type: "progress", completed, total });
+
+  try {
+    const result = await BACKTEST_JOBS[type](payload, onProgress);
+    self.postMessage({ type: "result", result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+}
+
+function createCancelError() {
+  const error = new Error("Cancelled");
+  error.name = "AbortError";
+  return error;
 }
 
 /**
- * Stop live monitoring
+ * Run a backtest job in a Web Worker so the page stays responsive
+ * Each job gets its own worker, terminated when it finishes or is cancelled.
+ * Where workers are unavailable (e.g. the page is opened from file://) the
+ * job runs on the page instead; cancelling it then takes effect at its next
+ * progress update.
+ * A new job of the same type cancels the previous one.
+ * @param {string} type - Key of BACKTEST_JOBS
+ * @param {Object} payload - Job input
+ * @param {Function} onProgress - Called with (completed, total)
+ * @returns {Promise<*>} Job result; rejects with an AbortError when cancelled
  */
-function handleStopMonitor() {
-  if (!isMonitoring) {
-    return;
-  }
+function runBacktestJob(type, payload, onProgress = () => {}) {
+  cancelBacktestJob(type);
 
-  isMonitoring = false;
-  lastHourlyTimestamp = null; // Reset hourly timestamp
+  return new Promise((resolve, reject) => {
+    const job = { worker: null, reject, cancelled: false };
+    runningJobs[type] = job;
 
-  // Clear interval
-  if (monitorInterval) {
-    clearInterval(monitorInterval);
-    monitorInterval = null;
-  }
+    const finish = () => {
+      if (job.worker) job.worker.terminate();
+      if (runningJobs[type] === job) delete runningJobs[type];
+    };
 
-  // Update UI
-  if (startMonitorBtn) startMonitorBtn.style.display = "inline-flex";
-  if (stopMonitorBtn) stopMonitorBtn.style.display = "none";
-  const monitorWarning = document.getElementById("monitorWarning");
-  if (monitorWarning) monitorWarning.style.display = "none";
+    const runOnPage = () => {
+      const report = (completed, total) => {
+        if (job.cancelled) throw createCancelError();
+        onProgress(completed, total);
+      };
+      Promise.resolve()
+        .then(() => BACKTEST_JOBS[type](payload, report))
+        .then(resolve, reject)
+        .finally(finish);
+    };
 
-  const monitorStatus = document.getElementById("monitorStatus");
-  if (monitorStatus) {
-    monitorStatus.style.display = "block";
-    monitorStatus.className = "result-message error-message";
-    monitorStatus.textContent = "⏹️ Monitoring stopped.";
-  }
+    try {
+      job.worker = new Worker(SCRIPT_URL);
+    } catch (error) {
+      console.warn("Backtest worker unavailable, running on the page:", error);
+      runOnPage();
+      return;
+    }
 
-  updateMonitorStatus("Not monitoring", null, null);
-  currentPosition = "none";
+    job.worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        onProgress(message.completed, message.total);
+        return;
+      }
+      finish();
+      if (message.type === "result") {
+        resolve(message.result);
+      } else {
+        reject(new Error(message.message));
+      }
+    };
 
-  console.log("Live monitoring stopped");
-}
\ No newline at end of file
+    // The script failed to load in the worker
+    job.worker.onerror = (event) => {
+      event.preventDefault();
+      console.warn("Backtest worker failed, running on the page:", event);
+      job.worker.terminate();
+      job.worker = null;
+      runOnPage();
+    };
+
+    job.worker.postMessage({ type, payload });
+  });
+}
+
+/**
+ * Cancel a running backtest job
+ * @param {string} type - Key of BACKTEST_JOBS
+ * @returns {boolean} Whether a job was running
+ */
+function cancelBacktestJob(type) {
+  const job = runningJobs[type];
+  if (!job) return false;
+
+  job.cancelled = true;
+  if (job.worker) job.worker.terminate();
+  delete runningJobs[type];
+  job.reject(createCancelError());
+  return true;
+}